@@ -0,0 +1,55 @@
+// ================= FAKE AUTH ADAPTER =================
+// Stand-in for firebase-admin's auth() when running offline.
+//
+// Tokens are plain strings: `fake:<email>` is always accepted, while
+// issueToken() returns `fake:<email>:<issuedAt>` so revocation (suspending
+// a user) can reject tokens issued before it, like Firebase does.
+
+const TOKEN_PREFIX = "fake:";
+
+const authError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+function createFakeAuth({ clock = () => new Date() } = {}) {
+  // email → time its refresh tokens were revoked
+  const revokedAt = new Map();
+
+  const uidFor = (email) => `fake-${email}`;
+
+  return {
+    issueToken(email) {
+      return `${TOKEN_PREFIX}${email}:${clock().getTime()}`;
+    },
+
+    async verifyIdToken(token, checkRevoked = false) {
+      if (typeof token !== "string" || !token.startsWith(TOKEN_PREFIX)) {
+        throw authError("auth/argument-error", "Not a fake token");
+      }
+
+      const [email, issuedAt] = token.slice(TOKEN_PREFIX.length).split(":");
+      if (!email || !email.includes("@")) {
+        throw authError("auth/argument-error", "Token has no email");
+      }
+
+      const iat = issuedAt ? Number(issuedAt) : clock().getTime();
+      if (checkRevoked && revokedAt.has(email) && iat <= revokedAt.get(email)) {
+        throw authError("auth/id-token-revoked", "Token has been revoked");
+      }
+
+      return { uid: uidFor(email), email, iat: Math.floor(iat / 1000) };
+    },
+
+    async getUserByEmail(email) {
+      return { uid: uidFor(email), email };
+    },
+
+    async revokeRefreshTokens(uid) {
+      revokedAt.set(uid.slice("fake-".length), clock().getTime());
+    },
+  };
+}
+
+module.exports = { createFakeAuth };
@@ -0,0 +1,146 @@
+// ================= FAKE STRIPE ADAPTER =================
+// Covers the slice of the Stripe client the API uses: checkout sessions,
+// refunds and webhook parsing. Nothing leaves the process.
+//
+// A session stays unpaid until completeSession(id) is called (or straight
+// away with autoComplete), which hands a `checkout.session.completed`
+// event to onEvent — scripts/offline.js posts it to /stripe/webhook.
+
+const crypto = require("crypto");
+
+const FAKE_SIGNATURE = "fake";
+
+const randomId = (prefix) =>
+  `${prefix}_test_${crypto.randomBytes(12).toString("hex")}`;
+
+const stripeError = (message) => {
+  const error = new Error(message);
+  error.type = "StripeInvalidRequestError";
+  return error;
+};
+
+function createFakeStripe({ onEvent = () => {}, autoComplete = false } = {}) {
+  const sessions = new Map();
+  // payment intent id → { amount, refunded }
+  const intents = new Map();
+  // idempotency key → refund, so a repeated key replays like Stripe does
+  const refundsByKey = new Map();
+
+  const buildEvent = (type, object) => ({
+    id: randomId("evt"),
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object },
+  });
+
+  async function completeSession(id) {
+    const session = sessions.get(id);
+    if (!session) throw stripeError(`No such checkout.session: ${id}`);
+    if (session.payment_status === "paid") return session;
+
+    session.payment_status = "paid";
+    session.status = "complete";
+    session.payment_intent = randomId("pi");
+    intents.set(session.payment_intent, {
+      amount: session.amount_total,
+      refunded: 0,
+    });
+
+    await onEvent(buildEvent("checkout.session.completed", { ...session }));
+    return session;
+  }
+
+  return {
+    checkout: {
+      sessions: {
+        async create(params) {
+          const amountTotal = (params.line_items || []).reduce(
+            (sum, item) =>
+              sum + item.price_data.unit_amount * (item.quantity || 1),
+            0
+          );
+          const id = randomId("cs");
+
+          const session = {
+            id,
+            object: "checkout.session",
+            mode: params.mode,
+            status: "open",
+            payment_status: "unpaid",
+            payment_intent: null,
+            amount_total: amountTotal,
+            currency: params.line_items?.[0]?.price_data.currency,
+            customer_email: params.customer_email || null,
+            metadata: params.metadata || {},
+            // no hosted page offline: "paying" goes straight to success_url
+            url: String(params.success_url || "").replace(
+              "{CHECKOUT_SESSION_ID}",
+              id
+            ),
+          };
+          sessions.set(id, session);
+
+          if (autoComplete) {
+            setImmediate(() =>
+              completeSession(id).catch((err) =>
+                console.error("FAKE STRIPE ERROR:", err)
+              )
+            );
+          }
+          return { ...session };
+        },
+
+        async retrieve(id) {
+          const session = sessions.get(id);
+          if (!session) throw stripeError(`No such checkout.session: ${id}`);
+          return { ...session };
+        },
+      },
+    },
+
+    refunds: {
+      async create({ payment_intent, amount, metadata = {} }, options = {}) {
+        const { idempotencyKey } = options;
+        if (idempotencyKey && refundsByKey.has(idempotencyKey)) {
+          return { ...refundsByKey.get(idempotencyKey) };
+        }
+
+        const intent = intents.get(payment_intent);
+        if (!intent) {
+          throw stripeError(`No such payment_intent: ${payment_intent}`);
+        }
+
+        const refundAmount = amount ?? intent.amount - intent.refunded;
+        if (refundAmount > intent.amount - intent.refunded) {
+          throw stripeError("Refund amount is greater than unrefunded amount");
+        }
+        intent.refunded += refundAmount;
+
+        const refund = {
+          id: randomId("re"),
+          object: "refund",
+          amount: refundAmount,
+          payment_intent,
+          metadata,
+          status: "succeeded",
+        };
+        if (idempotencyKey) refundsByKey.set(idempotencyKey, refund);
+        return { ...refund };
+      },
+    },
+
+    webhooks: {
+      // offline events are "signed" with the literal FAKE_SIGNATURE
+      constructEvent(payload, signature) {
+        if (signature !== FAKE_SIGNATURE) {
+          throw stripeError("No signatures found matching the expected one");
+        }
+        return JSON.parse(payload.toString());
+      },
+    },
+
+    completeSession,
+  };
+}
+
+module.exports = { createFakeStripe, FAKE_SIGNATURE };
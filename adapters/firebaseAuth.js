@@ -0,0 +1,15 @@
+// ================= FIREBASE AUTH ADAPTER =================
+// The production `auth` adapter: firebase-admin initialised from the
+// service account key. Only required by index.js, so offline runs never
+// need the key file.
+
+const admin = require("firebase-admin");
+
+function createFirebaseAuth(serviceAccount) {
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+  });
+  return admin.auth();
+}
+
+module.exports = { createFirebaseAuth };
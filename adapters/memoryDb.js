@@ -0,0 +1,323 @@
+// ================= IN-MEMORY DB ADAPTER =================
+// Stand-in for a mongodb Db where no mongod is around (the test suite).
+// Documents live in arrays and queries, updates and aggregation
+// pipelines are evaluated by mingo. Only the collection methods the API
+// uses are implemented; unique indexes are enforced, TTL indexes ignored.
+
+const { Query, Aggregator, update: applyUpdate } = require("mingo");
+const { BSON, ObjectId } = require("mongodb");
+
+const { EJSON } = BSON;
+
+// stored documents never share references with callers, like a real server
+const clone = (doc) => BSON.deserialize(BSON.serialize(doc));
+
+// same shape as the driver's, callers look at code and keyPattern
+const duplicateKeyError = (collectionName, keyValue) => {
+  const error = new Error(
+    `E11000 duplicate key error collection: ${collectionName} dup key: ${EJSON.stringify(
+      keyValue
+    )}`
+  );
+  error.name = "MongoServerError";
+  error.code = 11000;
+  error.keyPattern = Object.fromEntries(
+    Object.keys(keyValue).map((field) => [field, 1])
+  );
+  error.keyValue = keyValue;
+  return error;
+};
+
+const getPath = (doc, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? value : value[key]), doc);
+
+function setPath(doc, path, value) {
+  const keys = path.split(".");
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] == null || typeof target[key] !== "object") {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !(value instanceof Date) &&
+  !(value instanceof RegExp) &&
+  !(value instanceof ObjectId) &&
+  Object.keys(value).some((key) => key.startsWith("$"));
+
+// An upsert starts from the filter's plain equality fields
+function seedFromFilter(filter) {
+  const doc = {};
+  for (const [key, value] of Object.entries(filter || {})) {
+    if (key.startsWith("$") || isOperatorObject(value)) continue;
+    setPath(doc, key, value);
+  }
+  return doc;
+}
+
+// ---------- cursor ----------
+
+class MemoryCursor {
+  constructor(load, { projection, sort, skip, limit } = {}) {
+    this.load = load;
+    this.options = { projection, sort, skip, limit };
+  }
+
+  sort(spec) {
+    this.options.sort = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.options.skip = count;
+    return this;
+  }
+
+  limit(count) {
+    this.options.limit = count;
+    return this;
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  batchSize() {
+    return this;
+  }
+
+  async close() {}
+
+  async toArray() {
+    const { projection, sort, skip, limit } = this.options;
+    const pipeline = [];
+    if (sort) pipeline.push({ $sort: sort });
+    if (skip) pipeline.push({ $skip: skip });
+    if (limit) pipeline.push({ $limit: limit });
+    if (projection && Object.keys(projection).length) {
+      pipeline.push({ $project: projection });
+    }
+    // mingo's exclusion projections edit documents in place, so the
+    // pipeline only ever sees copies
+    const docs = this.load().map(clone);
+    return pipeline.length ? new Aggregator(pipeline).run(docs) : docs;
+  }
+
+  async next() {
+    const [doc] = await this.limit(1).toArray();
+    return doc || null;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (const doc of await this.toArray()) yield doc;
+  }
+}
+
+// ---------- collection ----------
+
+class MemoryCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+    this.uniqueIndexes = [];
+  }
+
+  matching(filter = {}) {
+    const query = new Query(filter);
+    return this.docs.filter((doc) => query.test(doc));
+  }
+
+  // ----- indexes -----
+
+  async createIndex(key, options = {}) {
+    if (options.unique) {
+      this.uniqueIndexes.push({
+        fields: Object.keys(key),
+        partial: options.partialFilterExpression
+          ? new Query(options.partialFilterExpression)
+          : null,
+      });
+    }
+    return Object.keys(key).join("_");
+  }
+
+  async createIndexes(specs) {
+    return Promise.all(
+      specs.map(({ key, ...options }) => this.createIndex(key, options))
+    );
+  }
+
+  assertUnique(candidate, replacing = null) {
+    const others = this.docs.filter((doc) => doc !== replacing);
+    const indexes = [{ fields: ["_id"], partial: null }, ...this.uniqueIndexes];
+
+    for (const { fields, partial } of indexes) {
+      if (partial && !partial.test(candidate)) continue;
+      const keyOf = (doc) =>
+        Object.fromEntries(
+          fields.map((field) => [field, getPath(doc, field) ?? null])
+        );
+      const key = EJSON.stringify(keyOf(candidate));
+      const clash = others.some(
+        (doc) =>
+          (!partial || partial.test(doc)) && EJSON.stringify(keyOf(doc)) === key
+      );
+      if (clash) throw duplicateKeyError(this.collectionName, keyOf(candidate));
+    }
+  }
+
+  // ----- reads -----
+
+  find(filter = {}, options = {}) {
+    return new MemoryCursor(() => this.matching(filter), options);
+  }
+
+  async findOne(filter = {}, options = {}) {
+    return this.find(filter, options).next();
+  }
+
+  async countDocuments(filter = {}) {
+    return this.matching(filter).length;
+  }
+
+  aggregate(pipeline) {
+    const run = () => new Aggregator(pipeline).run(this.docs.map(clone));
+    return {
+      toArray: async () => run(),
+      async *[Symbol.asyncIterator]() {
+        for (const doc of run()) yield doc;
+      },
+    };
+  }
+
+  // ----- writes -----
+
+  async insertOne(doc) {
+    // the driver adds the generated _id to the caller's object too
+    if (doc._id === undefined) doc._id = new ObjectId();
+    const stored = clone(doc);
+    this.assertUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return {
+      acknowledged: true,
+      insertedCount: docs.length,
+      insertedIds,
+    };
+  }
+
+  // Applies `update` to one stored doc (or an upsert seed); returns what
+  // changed so the public methods can shape their results
+  applyTo(stored, update, { inserting = false } = {}) {
+    const { $setOnInsert, ...operators } = update;
+    const next = clone(stored);
+
+    let changed = inserting;
+    if (Object.keys(operators).length) {
+      changed = applyUpdate(next, operators).length > 0 || changed;
+    }
+    if (inserting && $setOnInsert) applyUpdate(next, { $set: $setOnInsert });
+    if (next._id === undefined) next._id = new ObjectId();
+
+    if (changed) this.assertUnique(next, inserting ? null : stored);
+    return { next, changed };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [stored] = this.matching(filter);
+
+    if (!stored) {
+      if (!options.upsert) {
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+      }
+      const { next } = this.applyTo(seedFromFilter(filter), update, {
+        inserting: true,
+      });
+      this.docs.push(next);
+      return {
+        acknowledged: true,
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: next._id,
+      };
+    }
+
+    const { next, changed } = this.applyTo(stored, update);
+    if (changed) this.docs[this.docs.indexOf(stored)] = next;
+    return {
+      acknowledged: true,
+      matchedCount: 1,
+      modifiedCount: changed ? 1 : 0,
+    };
+  }
+
+  async updateMany(filter, update) {
+    const matched = this.matching(filter);
+    let modifiedCount = 0;
+    for (const stored of matched) {
+      const { next, changed } = this.applyTo(stored, update);
+      if (changed) {
+        this.docs[this.docs.indexOf(stored)] = next;
+        modifiedCount++;
+      }
+    }
+    return { acknowledged: true, matchedCount: matched.length, modifiedCount };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [stored] = this.matching(filter);
+    const before = stored ? clone(stored) : null;
+    const result = await this.updateOne(filter, update, options);
+
+    if (options.returnDocument !== "after") return before;
+    const _id = result.upsertedId ?? stored?._id;
+    return _id === undefined ? null : this.findOne({ _id });
+  }
+
+  async deleteOne(filter = {}) {
+    const [stored] = this.matching(filter);
+    if (!stored) return { acknowledged: true, deletedCount: 0 };
+    this.docs.splice(this.docs.indexOf(stored), 1);
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const matched = new Set(this.matching(filter));
+    this.docs = this.docs.filter((doc) => !matched.has(doc));
+    return { acknowledged: true, deletedCount: matched.size };
+  }
+}
+
+// ---------- db ----------
+
+function createMemoryDb() {
+  const collections = new Map();
+
+  return {
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, new MemoryCollection(name));
+      }
+      return collections.get(name);
+    },
+  };
+}
+
+module.exports = { createMemoryDb };
@@ -0,0 +1,3698 @@
+const express = require("express");
+const cors = require("cors");
+const { ObjectId } = require("mongodb");
+
+// payment trackingId
+const crypto = require("crypto");
+const {
+  generateRepaymentSchedule,
+  allocateRepayment,
+  installmentDue,
+  round2,
+  REPAYMENT_TYPES,
+} = require("./utils/repaymentSchedule");
+const {
+  STATUS,
+  ACTIVE_STATUSES,
+  normalizeStatus,
+  assertTransition,
+} = require("./utils/applicationStatus");
+const { diffDocuments, clientIp } = require("./utils/audit");
+const { validateLoan, snapshotLoanTerms } = require("./utils/loanSchema");
+const { validateApplication } = require("./utils/applicationSchema");
+const {
+  parseListQuery,
+  paginate,
+  numberRange,
+  dateRange,
+  httpError,
+  searchRegex,
+} = require("./utils/pagination");
+const { createNotifier } = require("./utils/notifications");
+const multer = require("multer");
+const { createStorageFromEnv } = require("./utils/storage");
+const {
+  DOCUMENT_TYPES,
+  MAX_DOCUMENT_SIZE,
+  ALLOWED_MIME_TYPES,
+  checkDocumentFile,
+  missingDocuments,
+} = require("./utils/documents");
+const { scoreApplication, loadRiskConfig } = require("./utils/riskScoring");
+const {
+  INTERVAL_FORMATS,
+  applicationsOverTime,
+  approvalRates,
+  feeRevenue,
+  decisionTime,
+  topLoans,
+  userGrowth,
+  pivotByPeriod,
+} = require("./utils/analytics");
+const { EXPORT_FORMATS, streamExport } = require("./utils/exporter");
+const {
+  generateVerificationRef,
+  renderPaymentReceipt,
+  renderApprovalLetter,
+} = require("./utils/pdf");
+const {
+  createRateLimiter,
+  createRateLimitStoreFromEnv,
+} = require("./middlewares/rateLimit");
+const { createIdempotency } = require("./middlewares/idempotency");
+const { createTokenVerifier, verifyRole } = require("./middlewares/auth");
+const {
+  DEFAULT_CURRENCY,
+  roundMoney,
+  toMinorUnits,
+  fromMinorUnits,
+} = require("./utils/currency");
+
+function generateTrackingId(now = new Date()) {
+  const prefix = "LL"; // your brand prefix
+
+  // Format: YYYYMMDD
+  const date = now.toISOString().slice(0, 10).replace(/-/g, "");
+
+  // Generate a 6-character random hex string
+  const random = crypto.randomBytes(3).toString("hex").toUpperCase();
+
+  return `${prefix}-${date}-${random}`;
+}
+
+const USER_ROLES = ["user", "manager", "admin"];
+
+// =====================================================================
+// ===========================  APP FACTORY  ===========================
+// =====================================================================
+// Everything that talks to the outside world comes in as an adapter, so the
+// same routes run against Firebase/Atlas/Stripe in production and against
+// local stand-ins offline (see scripts/offline.js).
+//
+//   db        a mongodb Db
+//   auth      firebase-admin auth() or adapters/fakeAuth.js
+//   payments  a Stripe client or adapters/fakeStripe.js
+//   clock     () => Date, "now" for every timestamp the API stores, prints
+//             or rate-limits by
+//   storage   document storage, defaults to STORAGE_DRIVER
+function createApp({
+  db,
+  auth,
+  payments,
+  clock = () => new Date(),
+  storage = createStorageFromEnv(),
+}) {
+  const app = express();
+  // Vercel sits in front of us; needed for the real client IP in req.ip
+  app.set("trust proxy", 1);
+
+  // ----------- MIDDLEWARE ----------
+  app.use(cors());
+  app.use(
+    express.json({
+      // keep the untouched body around, Stripe signs the raw bytes
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+
+  // ----------- FILE UPLOAD ----------
+  // Kept in memory just long enough to check it, then handed to storage
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_DOCUMENT_SIZE, files: 1 },
+  });
+
+  const uploadDocument = (req, res, next) => {
+    upload.single("file")(req, res, (err) => {
+      if (!err) return next();
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          message: `File must be at most ${MAX_DOCUMENT_SIZE / 1024 / 1024} MB`,
+        });
+      }
+      return res.status(400).json({ message: err.message });
+    });
+  };
+
+  const usersCollection = db.collection("users");
+  const loansCollection = db.collection("loans");
+  const applicationsCollection = db.collection("applications");
+  const paymentCollection = db.collection("payments");
+  const stripeEventsCollection = db.collection("stripeEvents");
+  const auditLogsCollection = db.collection("auditLogs");
+  const notificationsCollection = db.collection("notifications");
+  const settingsCollection = db.collection("settings");
+  const loanVersionsCollection = db.collection("loanVersions");
+  const idempotencyCollection = db.collection("idempotencyKeys");
+
+  // replays the first response for a repeated Idempotency-Key
+  const idempotent = createIdempotency({
+    collection: idempotencyCollection,
+    clock,
+  });
+
+  // ================= RATE LIMIT POLICIES =================
+  const rateLimitStore = createRateLimitStoreFromEnv(db);
+  const MINUTE = 60 * 1000;
+
+  const registerLimiter = createRateLimiter({
+    name: "register",
+    windowMs: 15 * MINUTE,
+    max: 10,
+    store: rateLimitStore,
+    clock,
+  });
+  // only searches are throttled; plain catalogue browsing is cheap
+  const loanSearchLimiter = createRateLimiter({
+    name: "loan-search",
+    windowMs: MINUTE,
+    max: 60,
+    store: rateLimitStore,
+    clock,
+    skip: (req) => !req.query.search,
+  });
+  const checkoutLimiter = createRateLimiter({
+    name: "checkout",
+    windowMs: MINUTE,
+    max: 10,
+    store: rateLimitStore,
+    clock,
+  });
+  const trackingLimiter = createRateLimiter({
+    name: "tracking",
+    windowMs: MINUTE,
+    max: 20,
+    store: rateLimitStore,
+    clock,
+  });
+
+  const { notify } = createNotifier({
+    collection: notificationsCollection,
+    clock,
+  });
+
+  loanVersionsCollection
+    .createIndex({ loanId: 1, version: 1 }, { unique: true })
+    .catch((err) => console.log("LOAN VERSION INDEX ERROR:", err));
+
+  // tracking IDs are handed to borrowers, so they must never repeat
+  const uniqueTrackingId = {
+    key: { trackingId: 1 },
+    unique: true,
+    partialFilterExpression: { trackingId: { $type: "string" } },
+  };
+  // one payment row per Stripe payment intent / refund, whichever event
+  // writes it first
+  const uniqueTransactionId = {
+    key: { transactionId: 1 },
+    unique: true,
+    partialFilterExpression: { transactionId: { $type: "string" } },
+  };
+  Promise.all([
+    paymentCollection.createIndexes([uniqueTrackingId, uniqueTransactionId]),
+    applicationsCollection.createIndexes([uniqueTrackingId]),
+  ]).catch((err) => console.log("TRACKING INDEX ERROR:", err));
+
+  auditLogsCollection
+    .createIndexes([
+      { key: { createdAt: -1 } },
+      { key: { actorEmail: 1, createdAt: -1 } },
+      { key: { targetType: 1, targetId: 1, createdAt: -1 } },
+    ])
+    .catch((err) => console.log("AUDIT INDEX ERROR:", err));
+
+  const verifyFirebaseToken = createTokenVerifier({
+    auth,
+    usersCollection,
+    clock,
+  });
+  const adminOnly = verifyRole(usersCollection, "admin");
+  const managerOnly = verifyRole(usersCollection, "manager");
+  const staffOnly = verifyRole(usersCollection, ["manager", "admin"]);
+
+  // 422 with every failing field, shape shared by all validated routes
+  const sendValidationErrors = (res, errors) =>
+    res.status(422).json({ message: "Validation failed", errors });
+
+  // Managers may only change products they created; admins any product.
+  // Legacy products without createdBy are admin-only.
+  const canEditLoan = (req, loan) =>
+    req.currentUser?.role === "admin" || loan.createdBy === req.decodedEmail;
+
+  const sendNotLoanOwner = (res) =>
+    res.status(403).json({
+      message:
+        "Only the manager who created this loan or an admin can change it",
+    });
+
+  // ================= SOFT DELETE =================
+  // Loans and applications are archived, never removed: payments and audit
+  // logs keep pointing at them. `deletedAt: null` also matches documents
+  // that never had the field.
+  const NOT_DELETED = { deletedAt: null };
+
+  // legacy documents may still hold lowercase statuses
+  const activeStatusFilter = {
+    $in: ACTIVE_STATUSES.map((status) => new RegExp(`^${status}$`, "i")),
+  };
+
+  // Archive one loan; refuses while borrowers still have live applications
+  const archiveLoan = async (req, loan) => {
+    const activeApplications = await applicationsCollection.countDocuments({
+      ...NOT_DELETED,
+      loanId: String(loan._id),
+      status: activeStatusFilter,
+    });
+    if (activeApplications) {
+      const error = httpError(
+        409,
+        "Loan still has active applications; close or cancel them first"
+      );
+      error.activeApplications = activeApplications;
+      throw error;
+    }
+
+    const result = await loansCollection.updateOne(
+      { _id: loan._id, ...NOT_DELETED },
+      { $set: { deletedAt: clock(), deletedBy: req.decodedEmail } }
+    );
+
+    await recordAudit(req, {
+      action: "loan.archive",
+      targetType: "loan",
+      targetId: loan._id,
+      before: loan,
+      after: await loansCollection.findOne({ _id: loan._id }),
+    });
+    return result;
+  };
+
+  // ================= LOAN VERSIONS =================
+  // Every change to a product's terms becomes a new, immutable version in
+  // `loanVersions`; the loan document carries the current `version` and
+  // applications record the one they were submitted against.
+
+  // Products created before versioning get their current terms as v1
+  const ensureLoanVersion = async (loan) => {
+    const version = loan.version || 1;
+    try {
+      await loanVersionsCollection.updateOne(
+        { loanId: loan._id, version },
+        {
+          $setOnInsert: {
+            terms: snapshotLoanTerms(loan),
+            changes: {},
+            createdBy: loan.updatedBy || loan.createdBy || null,
+            createdAt: loan.updatedAt || loan.createdAt || clock(),
+          },
+        },
+        { upsert: true }
+      );
+    } catch (err) {
+      // a concurrent request just wrote the same version
+      if (err.code !== 11000) throw err;
+    }
+    if (!loan.version) {
+      await loansCollection.updateOne(
+        { _id: loan._id, version: { $exists: false } },
+        { $set: { version } }
+      );
+    }
+    return version;
+  };
+
+  // Shared by the manager and admin edit routes. Only a change to the
+  // terms bumps the version; the update is conditional on the version we
+  // read so two simultaneous edits can't both claim the next number.
+  const updateLoan = async (req, before, value) => {
+    const currentVersion = await ensureLoanVersion(before);
+    const terms = snapshotLoanTerms({ ...before, ...value });
+    const changes = diffDocuments(snapshotLoanTerms(before), terms);
+    const version = Object.keys(changes).length
+      ? currentVersion + 1
+      : currentVersion;
+    const now = clock();
+
+    const result = await loansCollection.updateOne(
+      { _id: before._id, version: currentVersion },
+      {
+        $set: {
+          ...value,
+          version,
+          updatedBy: req.decodedEmail,
+          updatedAt: now,
+        },
+      }
+    );
+    if (!result.matchedCount) {
+      throw httpError(409, "Loan was changed meanwhile, reload and try again");
+    }
+
+    if (version !== currentVersion) {
+      await loanVersionsCollection.insertOne({
+        loanId: before._id,
+        version,
+        terms,
+        changes,
+        createdBy: req.decodedEmail,
+        createdAt: now,
+      });
+    }
+
+    await recordAudit(req, {
+      action: "loan.update",
+      targetType: "loan",
+      targetId: before._id,
+      before,
+      after: await loansCollection.findOne({ _id: before._id }),
+    });
+    return { ...result, version };
+  };
+
+  // Borrower who owns it, the manager reviewing it, or an admin
+  const canAccessApplication = async (req, application) => {
+    if (application.userEmail === req.decodedEmail) return true;
+    const user = await usersCollection.findOne({ email: req.decodedEmail });
+    if (user?.role === "admin") return true;
+    return (
+      user?.role === "manager" &&
+      application.assignedManager === req.decodedEmail
+    );
+  };
+
+  // storage keys stay server-side; files go through the document routes.
+  // Every route that returns application documents reads with this.
+  const APPLICATION_PROJECTION = { "documents.storageKey": 0 };
+
+  // ================= AUDIT LOG =================
+  // Append-only: nothing in the API updates or deletes audit entries.
+  // A failed audit write is logged but never fails the request itself.
+  const recordAudit = async (
+    req,
+    { action, targetType, targetId, before = null, after = null }
+  ) => {
+    try {
+      await auditLogsCollection.insertOne({
+        actorEmail: req.decodedEmail || null,
+        actorRole: req.currentUser?.role || null,
+        action,
+        targetType,
+        targetId: targetId ? String(targetId) : null,
+        changes: diffDocuments(before, after),
+        ip: clientIp(req),
+        userAgent: req.headers["user-agent"] || null,
+        createdAt: clock(),
+      });
+    } catch (err) {
+      console.error("AUDIT LOG ERROR:", err);
+    }
+  };
+
+  // ================= STATUS TRANSITIONS =================
+  // Timestamp written alongside each status (approvedAt, rejectedAt, ...)
+  const STATUS_TIMESTAMPS = {
+    [STATUS.APPROVED]: "approvedAt",
+    [STATUS.REJECTED]: "rejectedAt",
+    [STATUS.DISBURSED]: "disbursedAt",
+    [STATUS.CLOSED]: "closedAt",
+    [STATUS.CANCELLED]: "cancelledAt",
+  };
+
+  // Borrower gets told about these outcomes
+  const STATUS_NOTIFICATIONS = {
+    [STATUS.APPROVED]: "application_approved",
+    [STATUS.REJECTED]: "application_rejected",
+    [STATUS.CANCELLED]: "application_cancelled",
+  };
+
+  // Moves an application to `to` if the lifecycle allows it and appends
+  // the change to statusHistory. The update is conditional on the status
+  // we read, so two people acting at once can't both win.
+  const changeApplicationStatus = async (
+    req,
+    application,
+    { to, reason, extra = {}, guard = {} }
+  ) => {
+    const next = assertTransition(application.status, to);
+    const now = clock();
+
+    const set = { ...extra, status: next, updatedAt: now };
+    if (STATUS_TIMESTAMPS[next]) set[STATUS_TIMESTAMPS[next]] = now;
+
+    const result = await applicationsCollection.updateOne(
+      { ...guard, _id: application._id, status: application.status },
+      {
+        $set: set,
+        $push: {
+          statusHistory: {
+            from: normalizeStatus(application.status) || application.status,
+            to: next,
+            changedBy: req.decodedEmail,
+            role: req.currentUser?.role || "user",
+            reason: reason || "",
+            changedAt: now,
+          },
+        },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      const error = new Error("Application changed meanwhile, please reload");
+      error.status = 409;
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: "application.status_change",
+      targetType: "application",
+      targetId: application._id,
+      before: application,
+      after: await applicationsCollection.findOne({ _id: application._id }),
+    });
+
+    const previous = normalizeStatus(application.status);
+    const event =
+      next === STATUS.PENDING && previous === STATUS.DRAFT
+        ? "application_submitted"
+        : STATUS_NOTIFICATIONS[next];
+    if (event) {
+      await notify(event, {
+        to: application.userEmail,
+        data: {
+          applicationId: String(application._id),
+          loanTitle: application.loanTitle,
+          loanAmount: application.loanAmount,
+          approvedAmount: extra.approvedAmount ?? application.loanAmount,
+          reason: reason || "",
+        },
+      });
+    }
+
+    return result;
+  };
+
+  // Sends errors that carry an HTTP status (400/409/...) as-is,
+  // anything else as a 500
+  const sendHttpError = (res, err, fallbackMessage) => {
+    if (err.status) {
+      const body = { message: err.message };
+      if (err.allowed) body.allowed = err.allowed;
+      if (err.activeApplications) {
+        body.activeApplications = err.activeApplications;
+      }
+      return res.status(err.status).json(body);
+    }
+    console.error(err);
+    res.status(500).json({ message: fallbackMessage });
+  };
+
+  // ================= APPLICATION LIST FILTERS =================
+  // Shared by the admin list and the manager pending queue
+  const APPLICATION_LIST = {
+    sortFields: [
+      "appliedAt",
+      "loanAmount",
+      "status",
+      "updatedAt",
+      "risk.score",
+    ],
+    defaultSort: "-appliedAt",
+  };
+
+  const buildApplicationFilter = (query) => {
+    const { status, category, loanId, userEmail, minAmount, maxAmount } = query;
+    const filter = { ...NOT_DELETED };
+
+    if (status) {
+      const canonical = normalizeStatus(status);
+      if (!canonical) throw httpError(400, `Unknown status "${status}"`);
+      // legacy documents may still hold lowercase statuses
+      filter.status = new RegExp(`^${canonical}$`, "i");
+    }
+    if (category) filter.category = category;
+    if (loanId) filter.loanId = loanId;
+    if (userEmail) filter.userEmail = userEmail;
+    if (query.riskBand) filter["risk.band"] = query.riskBand;
+    if (query.assignedManager) {
+      filter.assignedManager =
+        query.assignedManager === "none" ? null : query.assignedManager;
+    }
+
+    const loanAmount = numberRange(minAmount, maxAmount);
+    if (loanAmount) filter.loanAmount = loanAmount;
+    const appliedAt = dateRange(query.from, query.to);
+    if (appliedAt) filter.appliedAt = appliedAt;
+
+    return filter;
+  };
+
+  // ================= MANAGER ASSIGNMENT =================
+  // ASSIGNMENT_STRATEGY: "least_workload" (default) | "round_robin" | "manual"
+  const assignmentStrategy =
+    process.env.ASSIGNMENT_STRATEGY || "least_workload";
+  const OPEN_STATUSES = [STATUS.PENDING, STATUS.UNDER_REVIEW];
+
+  const activeManagers = () =>
+    usersCollection
+      .find(
+        { role: "manager", suspended: { $ne: true } },
+        { projection: { email: 1 } }
+      )
+      .sort({ email: 1 })
+      .toArray();
+
+  // Manager email for a newly submitted application, or null (manual mode
+  // or nobody available — it then waits in the unassigned pool)
+  const pickManager = async () => {
+    if (assignmentStrategy === "manual") return null;
+
+    const managers = await activeManagers();
+    if (!managers.length) return null;
+
+    if (assignmentStrategy === "round_robin") {
+      const counter = await settingsCollection.findOneAndUpdate(
+        { _id: "assignmentRoundRobin" },
+        { $inc: { cursor: 1 } },
+        { upsert: true, returnDocument: "after" }
+      );
+      return managers[(counter.cursor - 1) % managers.length].email;
+    }
+
+    // least workload: fewest open applications, ties by email
+    const workload = await applicationsCollection
+      .aggregate([
+        { $match: { status: { $in: OPEN_STATUSES } } },
+        { $group: { _id: "$assignedManager", count: { $sum: 1 } } },
+      ])
+      .toArray();
+    const counts = Object.fromEntries(
+      workload.map((row) => [row._id, row.count])
+    );
+
+    return managers.reduce((best, manager) =>
+      (counts[manager.email] || 0) < (counts[best.email] || 0) ? manager : best
+    ).email;
+  };
+
+  // Fields to $set when an application enters the queue
+  const autoAssignment = async (application) => {
+    if (application.assignedManager) return {};
+    const manager = await pickManager();
+    return manager ? { assignedManager: manager, assignedAt: clock() } : {};
+  };
+
+  // Only the assigned manager may decide on an application
+  const assertAssignedTo = (req, application) => {
+    if (application.assignedManager === req.decodedEmail) return;
+    throw httpError(
+      403,
+      application.assignedManager
+        ? "This application is assigned to another manager"
+        : "Claim this application before acting on it"
+    );
+  };
+
+  // Users: ?role=&suspended=&search=&from=&to=
+  const USER_LIST = {
+    sortFields: ["createdAt", "name", "email", "role"],
+    defaultSort: "-createdAt",
+  };
+
+  const buildUserFilter = (query) => {
+    const { role, suspended, search, from, to } = query;
+    const filter = {};
+
+    if (role) filter.role = role;
+    if (suspended !== undefined) filter.suspended = suspended === "true";
+    if (search) {
+      filter.$or = [
+        { name: searchRegex(search) },
+        { email: searchRegex(search) },
+      ];
+    }
+    const createdAt = dateRange(from, to);
+    if (createdAt) filter.createdAt = createdAt;
+
+    return filter;
+  };
+
+  // Payments: ?paymentType=&currency=&from=&to= (who may see whose
+  // payments is decided by the route)
+  const PAYMENT_LIST = {
+    sortFields: ["paidAt", "amount", "createdAt"],
+    defaultSort: "-paidAt",
+  };
+
+  const buildPaymentFilter = (query) => {
+    const { paymentType, currency, from, to } = query;
+    const filter = {};
+
+    if (paymentType) filter.paymentType = paymentType;
+    if (currency) filter.currency = currency.toLowerCase();
+    const paidAt = dateRange(from, to);
+    if (paidAt) filter.paidAt = paidAt;
+
+    return filter;
+  };
+
+  // ================= RISK SCORING =================
+  const riskConfig = loadRiskConfig();
+
+  // Collects the borrower's track record and scores the application.
+  // Returns the object stored as `application.risk`.
+  const assessRisk = async (application) => {
+    const history = await applicationsCollection
+      .find(
+        { userEmail: application.userEmail, _id: { $ne: application._id } },
+        { projection: { status: 1, repaymentSchedule: 1 } }
+      )
+      .toArray();
+
+    const now = clock();
+    let activeLoans = 0;
+    let previousRejections = 0;
+    let overdueInstallments = 0;
+
+    for (const other of history) {
+      const status = normalizeStatus(other.status);
+      if (status === STATUS.REJECTED) previousRejections++;
+
+      const schedule = other.repaymentSchedule;
+      const active =
+        [STATUS.APPROVED, STATUS.DISBURSED].includes(status) &&
+        (!schedule || schedule.outstandingBalance > 0);
+      if (active) activeLoans++;
+
+      overdueInstallments += (schedule?.installments || []).filter(
+        (row) => row.status !== "Paid" && new Date(row.dueDate) < now
+      ).length;
+    }
+
+    const repaymentsMade = await paymentCollection.countDocuments({
+      customerEmail: application.userEmail,
+      paymentType: { $in: REPAYMENT_TYPES },
+    });
+
+    let estimatedInstallment = null;
+    try {
+      estimatedInstallment = generateRepaymentSchedule({
+        principal: application.loanAmount,
+        annualRate: application.interestRate,
+        tenureMonths:
+          application.tenureMonths ??
+          application.loanTerms?.tenureOptions?.[0] ??
+          12,
+        method: application.interestMethod || undefined,
+        currency: application.currency || DEFAULT_CURRENCY,
+        now: clock(),
+      }).installmentAmount;
+    } catch (err) {
+      // legacy product without a usable rate: the ratio factor is skipped
+    }
+
+    const result = scoreApplication(
+      {
+        monthlyIncome: application.monthlyIncome,
+        loanAmount: application.loanAmount,
+        estimatedInstallment,
+        activeLoans,
+        previousRejections,
+        overdueInstallments,
+        repaymentsMade,
+      },
+      riskConfig
+    );
+
+    return { ...result, scoredAt: now };
+  };
+
+  // ================= APPROVED AMOUNT =================
+  // Optional on approval (defaults to the requested amount); never more than
+  // the borrower asked for or the product allowed when they applied.
+  const validateApprovedAmount = (application, approvedAmount) => {
+    const currency = application.currency || DEFAULT_CURRENCY;
+    const requested = Number(application.loanAmount);
+    if (approvedAmount === undefined || approvedAmount === null) {
+      return { value: requested, errors: [] };
+    }
+
+    const value = roundMoney(Number(approvedAmount), currency);
+    const limits = [requested, Number(application.loanTerms?.maxAmount)];
+    const max = Math.min(...limits.filter((limit) => limit > 0));
+
+    if (typeof approvedAmount === "boolean" || !(value > 0)) {
+      return {
+        value,
+        errors: [
+          { field: "approvedAmount", message: "must be a positive number" },
+        ],
+      };
+    }
+    if (value > max) {
+      return {
+        value,
+        errors: [
+          { field: "approvedAmount", message: `must be at most ${max}` },
+        ],
+      };
+    }
+    return { value, errors: [] };
+  };
+
+  // ================= REPAYMENT SCHEDULE ON APPROVAL =================
+  // Builds the installment plan from the loan product's terms. Legacy
+  // products without a rate/tenure still get approved, just without a plan.
+  // `approvedAmount` has been through validateApprovedAmount.
+  const buildApprovalFields = async (application, approvedAmount) => {
+    const fields = { approvedAmount };
+
+    try {
+      const loan = ObjectId.isValid(application.loanId)
+        ? await loansCollection.findOne({
+            _id: new ObjectId(application.loanId),
+          })
+        : null;
+
+      fields.repaymentSchedule = generateRepaymentSchedule({
+        principal: fields.approvedAmount,
+        // the terms the borrower applied under win over later edits
+        annualRate: application.interestRate ?? loan?.interestRate,
+        tenureMonths:
+          application.tenureMonths ??
+          application.loanTerms?.tenureOptions?.[0] ??
+          loan?.tenureMonths ??
+          loan?.tenureOptions?.[0],
+        method: application.interestMethod || loan?.interestMethod,
+        currency: application.currency || DEFAULT_CURRENCY,
+        now: clock(),
+      });
+      return { fields };
+    } catch (err) {
+      return { fields, scheduleError: err.message };
+    }
+  };
+
+  // ---------------- HOME ----------------
+  app.get("/", (req, res) => res.send("LoanLink Server Running 🚀"));
+
+  // ==================================================
+  // =============== 🔥 USER ROUTES 🔥 ================
+  // ==================================================
+
+  // Create User (Register)
+  app.post("/users", registerLimiter, async (req, res) => {
+    try {
+      const { name, email, photoURL, role } = req.body;
+
+      if (!name || !email) {
+        return res.status(400).send({ message: "Name & Email required" });
+      }
+
+      const existing = await usersCollection.findOne({ email });
+
+      if (existing) {
+        return res.status(200).json({ message: "User already exists" });
+      }
+
+      const newUser = {
+        name,
+        email,
+        photoURL,
+        role: role || "user",
+        suspended: false,
+        suspendReason: "",
+        createdAt: clock(),
+      };
+
+      const result = await usersCollection.insertOne(newUser);
+      res.status(201).json(result);
+    } catch (err) {
+      console.log(err);
+      res.status(500).send({ message: "Failed to create user" });
+    }
+  });
+
+  // ✔️ GET SINGLE USER by EMAIL (Needed for Role Fetch)
+  app.get("/users/:email", verifyFirebaseToken, async (req, res) => {
+    try {
+      const email = req.params.email;
+      const user = await usersCollection.findOne({ email });
+
+      if (!user) return res.status(404).json({ message: "User not found" });
+
+      res.json(user);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch user" });
+    }
+  });
+
+  // ✔️ Get All Users (Admin)
+  app.get(
+    "/admin/users",
+    verifyFirebaseToken,
+    adminOnly,
+    // ?role=&suspended=&search=&from=&to=&page=&limit=&sort=-createdAt
+    async (req, res) => {
+      try {
+        const filter = buildUserFilter(req.query);
+        const listQuery = parseListQuery(req.query, USER_LIST);
+        res.json(await paginate(usersCollection, filter, listQuery));
+      } catch (err) {
+        sendHttpError(res, err, "Failed to fetch users");
+      }
+    }
+  );
+
+  // ✔️ Update Role / Suspend (Admin)
+  app.patch(
+    "/admin/users/role/:email",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      const email = req.params.email;
+      const { role, suspend, suspendReason, suspendedUntil } = req.body;
+
+      const errors = [];
+      if (role && !USER_ROLES.includes(role)) {
+        errors.push({
+          field: "role",
+          message: `must be one of: ${USER_ROLES.join(", ")}`,
+        });
+      }
+      // optional expiry, after which the suspension lifts by itself
+      const until = suspend && suspendedUntil ? new Date(suspendedUntil) : null;
+      if (until && (isNaN(until) || until <= clock())) {
+        errors.push({
+          field: "suspendedUntil",
+          message: "must be a date in the future",
+        });
+      }
+      if (errors.length) return sendValidationErrors(res, errors);
+
+      const update = {};
+      if (role) update.role = role;
+      if (typeof suspend !== "undefined") {
+        update.suspended = !!suspend;
+        update.suspendReason = suspend ? suspendReason : "";
+        update.suspendedUntil = until;
+        update.suspendedAt = suspend ? clock() : null;
+        update.suspendedBy = suspend ? req.decodedEmail : null;
+      }
+
+      const before = await usersCollection.findOne({ email });
+      const result = await usersCollection.updateOne(
+        { email },
+        { $set: update }
+      );
+
+      // kick the user out everywhere: refresh tokens stop working and
+      // verifyFirebaseToken rejects ID tokens issued before this moment
+      if (before && suspend) {
+        try {
+          const firebaseUser = await auth.getUserByEmail(email);
+          await auth.revokeRefreshTokens(firebaseUser.uid);
+        } catch (err) {
+          console.error("REVOKE TOKENS ERROR:", err.message);
+        }
+      }
+
+      if (before) {
+        await recordAudit(req, {
+          action: "user.role_update",
+          targetType: "user",
+          targetId: before._id,
+          before,
+          after: await usersCollection.findOne({ email }),
+        });
+      }
+      res.json(result);
+    }
+  );
+
+  // ==================================================
+  // =============== 🔥 LOAN ROUTES 🔥 ================
+  // ==================================================
+
+  // Get All Loans
+  // ?search=&category=&minAmount=&maxAmount=&page=&limit=&sort=-createdAt
+  app.get("/loans", loanSearchLimiter, async (req, res) => {
+    try {
+      const { search, category, minAmount, maxAmount } = req.query;
+      const listQuery = parseListQuery(req.query, {
+        sortFields: ["createdAt", "title", "interestRate", "maxAmount"],
+        defaultSort: "-createdAt",
+      });
+
+      const filter = search
+        ? {
+            ...NOT_DELETED,
+            $or: [
+              { title: searchRegex(search) },
+              { category: searchRegex(search) },
+            ],
+          }
+        : { ...NOT_DELETED };
+
+      if (category) filter.category = category;
+      // products whose [minAmount, maxAmount] can cover the requested range
+      if (minAmount && !isNaN(minAmount)) {
+        filter.maxAmount = { $gte: Number(minAmount) };
+      }
+      if (maxAmount && !isNaN(maxAmount)) {
+        filter.minAmount = { $lte: Number(maxAmount) };
+      }
+
+      res.json(await paginate(loansCollection, filter, listQuery));
+    } catch (err) {
+      sendHttpError(res, err, "Failed to get loans");
+    }
+  });
+
+  // Get Single Loan
+  app.get("/loans/:id", async (req, res) => {
+    const loan = await loansCollection.findOne({
+      _id: new ObjectId(req.params.id),
+      ...NOT_DELETED,
+    });
+    res.json(loan);
+  });
+
+  // Add Loan (Manager Only)
+  app.post("/loans", verifyFirebaseToken, managerOnly, async (req, res) => {
+    const { value, errors } = validateLoan(req.body);
+    if (errors.length) return sendValidationErrors(res, errors);
+
+    const data = {
+      ...value,
+      version: 1,
+      createdBy: req.decodedEmail,
+      updatedBy: req.decodedEmail,
+      createdAt: clock(),
+    };
+    const result = await loansCollection.insertOne(data);
+    await ensureLoanVersion(data);
+
+    await recordAudit(req, {
+      action: "loan.create",
+      targetType: "loan",
+      targetId: result.insertedId,
+      after: data,
+    });
+    res.json(result);
+  });
+
+  // Update Loan (Owning Manager / Admin)
+  app.patch("/loans/:id", verifyFirebaseToken, staffOnly, async (req, res) => {
+    try {
+      const _id = new ObjectId(req.params.id);
+      const before = await loansCollection.findOne({ _id, ...NOT_DELETED });
+      if (!before) return res.status(404).json({ message: "Loan not found" });
+      if (!canEditLoan(req, before)) return sendNotLoanOwner(res);
+
+      const { value, errors } = validateLoan(req.body, {
+        partial: true,
+        existing: before,
+      });
+      if (errors.length) return sendValidationErrors(res, errors);
+
+      res.json(await updateLoan(req, before, value));
+    } catch (err) {
+      sendHttpError(res, err, "Failed to update loan");
+    }
+  });
+
+  // Delete Loan (Owning Manager / Admin) — archived, admins can restore it
+  app.delete("/loans/:id", verifyFirebaseToken, staffOnly, async (req, res) => {
+    try {
+      const _id = new ObjectId(req.params.id);
+      const before = await loansCollection.findOne({ _id, ...NOT_DELETED });
+      if (!before) return res.status(404).json({ message: "Loan not found" });
+      if (!canEditLoan(req, before)) return sendNotLoanOwner(res);
+
+      res.json(await archiveLoan(req, before));
+    } catch (err) {
+      sendHttpError(res, err, "Failed to delete loan");
+    }
+  });
+
+  // Version history (Manager / Admin) — newest first
+  app.get(
+    "/loans/:id/versions",
+    verifyFirebaseToken,
+    staffOnly,
+    async (req, res) => {
+      try {
+        const loan = await loansCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!loan) return res.status(404).json({ message: "Loan not found" });
+        const currentVersion = await ensureLoanVersion(loan);
+
+        const listQuery = parseListQuery(req.query, {
+          sortFields: ["version"],
+          defaultSort: "-version",
+        });
+        const page = await paginate(
+          loanVersionsCollection,
+          { loanId: loan._id },
+          listQuery
+        );
+        res.json({ ...page, currentVersion });
+      } catch (err) {
+        sendHttpError(res, err, "Failed to load loan versions");
+      }
+    }
+  );
+
+  // Diff two versions (Manager / Admin) — ?from=&to=, defaults to the
+  // latest change (previous → current)
+  app.get(
+    "/loans/:id/versions/diff",
+    verifyFirebaseToken,
+    staffOnly,
+    async (req, res) => {
+      try {
+        const loan = await loansCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!loan) return res.status(404).json({ message: "Loan not found" });
+        const currentVersion = await ensureLoanVersion(loan);
+
+        const to = req.query.to ? parseInt(req.query.to) : currentVersion;
+        const from = req.query.from
+          ? parseInt(req.query.from)
+          : Math.max(to - 1, 1);
+        if (!(from >= 1) || !(to >= 1)) {
+          throw httpError(400, "from and to must be version numbers");
+        }
+
+        const versions = await loanVersionsCollection
+          .find({ loanId: loan._id, version: { $in: [from, to] } })
+          .toArray();
+        const byNumber = Object.fromEntries(
+          versions.map((version) => [version.version, version])
+        );
+        const missing = [from, to].filter((number) => !byNumber[number]);
+        if (missing.length) {
+          throw httpError(404, `Version ${missing[0]} not found`);
+        }
+
+        res.json({
+          loanId: loan._id,
+          from,
+          to,
+          changes: diffDocuments(byNumber[from].terms, byNumber[to].terms),
+        });
+      } catch (err) {
+        sendHttpError(res, err, "Failed to diff loan versions");
+      }
+    }
+  );
+
+  // Single version (Manager / Admin)
+  app.get(
+    "/loans/:id/versions/:version",
+    verifyFirebaseToken,
+    staffOnly,
+    async (req, res) => {
+      try {
+        const version = await loanVersionsCollection.findOne({
+          loanId: new ObjectId(req.params.id),
+          version: parseInt(req.params.version),
+        });
+        if (!version) {
+          return res.status(404).json({ message: "Version not found" });
+        }
+        res.json(version);
+      } catch (err) {
+        sendHttpError(res, err, "Failed to load loan version");
+      }
+    }
+  );
+
+  // My Loans (Manager) — own products with application counts per status
+  app.get(
+    "/manager/loans",
+    verifyFirebaseToken,
+    managerOnly,
+    async (req, res) => {
+      try {
+        const listQuery = parseListQuery(req.query, {
+          sortFields: ["createdAt", "title", "updatedAt"],
+          defaultSort: "-createdAt",
+        });
+        const page = await paginate(
+          loansCollection,
+          { createdBy: req.decodedEmail, ...NOT_DELETED },
+          listQuery
+        );
+
+        // applications store loanId as a string
+        const loanIds = page.data.map((loan) => String(loan._id));
+        const counts = await applicationsCollection
+          .aggregate([
+            { $match: { loanId: { $in: loanIds }, ...NOT_DELETED } },
+            {
+              $group: {
+                _id: { loanId: "$loanId", status: "$status" },
+                count: { $sum: 1 },
+              },
+            },
+          ])
+          .toArray();
+
+        const countsByLoan = {};
+        for (const { _id, count } of counts) {
+          const loanCounts = (countsByLoan[_id.loanId] ||= { total: 0 });
+          const status = normalizeStatus(_id.status) || _id.status;
+          loanCounts[status] = (loanCounts[status] || 0) + count;
+          loanCounts.total += count;
+        }
+
+        res.json({
+          ...page,
+          data: page.data.map((loan) => ({
+            ...loan,
+            applicationCounts: countsByLoan[String(loan._id)] || { total: 0 },
+          })),
+        });
+      } catch (err) {
+        sendHttpError(res, err, "Failed to load your loans");
+      }
+    }
+  );
+
+  /* ------------------------------
+       Admin: Loans management routes
+       (If you already had /admin/loans routes, ensure they match these)
+       ------------------------------ */
+
+  // Get all loans (admin)
+  app.get("/admin/loans", verifyFirebaseToken, adminOnly, async (req, res) => {
+    try {
+      // optional search via ?q=term
+      const q = req.query.q;
+      const filter = q
+        ? {
+            ...NOT_DELETED,
+            $or: [{ title: searchRegex(q) }, { category: searchRegex(q) }],
+          }
+        : { ...NOT_DELETED };
+      const loans = await loansCollection.find(filter).toArray();
+      res.json(loans);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Failed to get loans" });
+    }
+  });
+
+  // Update loan (admin)
+  app.patch(
+    "/admin/loans/:id",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const _id = new ObjectId(req.params.id);
+        const before = await loansCollection.findOne({ _id, ...NOT_DELETED });
+        if (!before) {
+          return res.status(404).json({ message: "Loan not found" });
+        }
+
+        const { value, errors } = validateLoan(req.body, {
+          partial: true,
+          existing: before,
+        });
+        if (errors.length) return sendValidationErrors(res, errors);
+
+        res.json(await updateLoan(req, before, value));
+      } catch (err) {
+        sendHttpError(res, err, "Failed to update loan");
+      }
+    }
+  );
+
+  // Delete loan (admin) — archived like the manager route
+  app.delete(
+    "/admin/loans/:id",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const _id = new ObjectId(req.params.id);
+        const before = await loansCollection.findOne({ _id, ...NOT_DELETED });
+        if (!before) {
+          return res.status(404).json({ message: "Loan not found" });
+        }
+
+        res.json(await archiveLoan(req, before));
+      } catch (err) {
+        sendHttpError(res, err, "Failed to delete loan");
+      }
+    }
+  );
+
+  // Toggle show on home
+  app.patch(
+    "/admin/loans/show-home/:id",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const _id = new ObjectId(req.params.id);
+        const { showOnHome } = req.body;
+        const before = await loansCollection.findOne({ _id });
+        const result = await loansCollection.updateOne(
+          { _id },
+          { $set: { showOnHome: !!showOnHome } }
+        );
+
+        await recordAudit(req, {
+          action: "loan.show_home",
+          targetType: "loan",
+          targetId: _id,
+          before,
+          after: await loansCollection.findOne({ _id }),
+        });
+        res.json(result);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to toggle showOnHome" });
+      }
+    }
+  );
+
+  /* ------------------------------
+       Admin: Loan Applications
+       ------------------------------ */
+
+  // Get all applications (admin)
+  app.get(
+    "/admin/applications",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        // ?status=&category=&loanId=&userEmail=&minAmount=&maxAmount=&from=&to=
+        const filter = buildApplicationFilter(req.query);
+        const listQuery = parseListQuery(req.query, APPLICATION_LIST);
+        res.json(
+          await paginate(applicationsCollection, filter, listQuery, {
+            projection: APPLICATION_PROJECTION,
+          })
+        );
+      } catch (err) {
+        sendHttpError(res, err, "Failed to fetch applications");
+      }
+    }
+  );
+
+  // Update application status (any lifecycle step) (admin)
+  app.patch(
+    "/admin/applications/status/:id",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const { status, approvedAmount, reason } = req.body; // 'Approved' | 'Rejected' | ...
+
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+
+        let extra = {};
+        let scheduleError;
+        if (normalizeStatus(status) === STATUS.APPROVED) {
+          const { value, errors } = validateApprovedAmount(
+            application,
+            approvedAmount
+          );
+          if (errors.length) return sendValidationErrors(res, errors);
+
+          const approval = await buildApprovalFields(application, value);
+          extra = approval.fields;
+          scheduleError = approval.scheduleError;
+        }
+
+        const result = await changeApplicationStatus(req, application, {
+          to: status,
+          reason,
+          extra,
+        });
+        res.json(scheduleError ? { ...result, scheduleError } : result);
+      } catch (err) {
+        sendHttpError(res, err, "Failed to update application status");
+      }
+    }
+  );
+
+  /* ------------------------------
+       Admin: Audit Logs
+       ------------------------------ */
+
+  // ?actor=&action=&targetType=&targetId=&from=&to=&page=&limit=&cursor=
+  app.get(
+    "/admin/audit-logs",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const { actor, action, targetType, targetId, from, to } = req.query;
+        const listQuery = parseListQuery(req.query, {
+          sortFields: ["createdAt"],
+          defaultSort: "-createdAt",
+        });
+
+        const filter = {};
+        if (actor) filter.actorEmail = actor;
+        if (action) filter.action = action;
+        if (targetType) filter.targetType = targetType;
+        if (targetId) filter.targetId = targetId;
+        const createdAt = dateRange(from, to);
+        if (createdAt) filter.createdAt = createdAt;
+
+        res.json(await paginate(auditLogsCollection, filter, listQuery));
+      } catch (err) {
+        sendHttpError(res, err, "Failed to fetch audit logs");
+      }
+    }
+  );
+
+  /* ------------------------------
+       Admin: Archive (soft-deleted loans & applications)
+       GET   /admin/archive/:resource?page=&limit=&sort=-deletedAt
+       PATCH /admin/archive/:resource/:id/restore
+       ------------------------------ */
+
+  const ARCHIVES = {
+    loans: { collection: loansCollection, targetType: "loan" },
+    applications: {
+      collection: applicationsCollection,
+      targetType: "application",
+      projection: APPLICATION_PROJECTION,
+    },
+  };
+
+  const archiveFor = (resource) => {
+    const archive = ARCHIVES[resource];
+    if (!archive) {
+      throw httpError(
+        404,
+        `Unknown archive "${resource}". Available: ${Object.keys(ARCHIVES).join(
+          ", "
+        )}`
+      );
+    }
+    return archive;
+  };
+
+  app.get(
+    "/admin/archive/:resource",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const { collection, projection } = archiveFor(req.params.resource);
+        const filter = { deletedAt: { $ne: null } };
+        if (req.query.deletedBy) filter.deletedBy = req.query.deletedBy;
+
+        const listQuery = parseListQuery(req.query, {
+          sortFields: ["deletedAt", "createdAt"],
+          defaultSort: "-deletedAt",
+        });
+        res.json(await paginate(collection, filter, listQuery, { projection }));
+      } catch (err) {
+        sendHttpError(res, err, "Failed to load archive");
+      }
+    }
+  );
+
+  app.patch(
+    "/admin/archive/:resource/:id/restore",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const { collection, targetType } = archiveFor(req.params.resource);
+        const _id = new ObjectId(req.params.id);
+
+        const before = await collection.findOne({
+          _id,
+          deletedAt: { $ne: null },
+        });
+        if (!before) {
+          return res.status(404).json({ message: "No archived item found" });
+        }
+
+        const result = await collection.updateOne(
+          { _id, deletedAt: { $ne: null } },
+          {
+            $set: { restoredAt: clock(), restoredBy: req.decodedEmail },
+            $unset: { deletedAt: "", deletedBy: "" },
+          }
+        );
+
+        await recordAudit(req, {
+          action: `${targetType}.restore`,
+          targetType,
+          targetId: _id,
+          before,
+          after: await collection.findOne({ _id }),
+        });
+        res.json(result);
+      } catch (err) {
+        sendHttpError(res, err, "Failed to restore item");
+      }
+    }
+  );
+
+  /* ------------------------------
+       Admin: Exports
+       GET /admin/export/:resource?format=csv|xlsx + the list endpoint's filters
+       ------------------------------ */
+
+  const EXPORTS = {
+    applications: {
+      collection: applicationsCollection,
+      buildFilter: buildApplicationFilter,
+      list: APPLICATION_LIST,
+    },
+    payments: {
+      collection: paymentCollection,
+      buildFilter: (query) => ({
+        ...buildPaymentFilter(query),
+        ...(query.email ? { customerEmail: query.email } : {}),
+      }),
+      list: PAYMENT_LIST,
+    },
+    users: {
+      collection: usersCollection,
+      buildFilter: buildUserFilter,
+      list: USER_LIST,
+    },
+  };
+
+  app.get(
+    "/admin/export/:resource",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const { resource } = req.params;
+        const format = req.query.format || "csv";
+        const target = EXPORTS[resource];
+
+        if (!target) {
+          throw httpError(
+            404,
+            `Unknown export "${resource}". Available: ${Object.keys(
+              EXPORTS
+            ).join(", ")}`
+          );
+        }
+        if (!EXPORT_FORMATS[format]) {
+          throw httpError(400, "format must be csv or xlsx");
+        }
+
+        const filter = target.buildFilter(req.query);
+        const { sortField, direction } = parseListQuery(req.query, target.list);
+
+        await recordAudit(req, {
+          action: "data.export",
+          targetType: resource,
+          // the query as asked; the built filter holds RegExps that
+          // JSON can't represent
+          after: { format, query: JSON.stringify(req.query) },
+        });
+
+        const cursor = target.collection
+          .find(filter)
+          .sort({ [sortField]: direction, _id: direction })
+          .batchSize(500);
+
+        await streamExport({ cursor, resource, format, res, now: clock() });
+      } catch (err) {
+        // half-written file: nothing sensible to send, just cut it off
+        if (res.headersSent) {
+          console.error("EXPORT ERROR:", err);
+          return res.destroy(err);
+        }
+        sendHttpError(res, err, "Export failed");
+      }
+    }
+  );
+
+  /* ------------------------------
+       Admin: Analytics
+       All accept ?from=&to= (dates); time series also ?interval=day|month
+       ------------------------------ */
+
+  const parseStatsQuery = (query) => {
+    const interval = query.interval || "day";
+    if (!INTERVAL_FORMATS[interval]) {
+      throw httpError(400, "interval must be day or month");
+    }
+    return { range: dateRange(query.from, query.to), interval };
+  };
+
+  const statusName = (status) => normalizeStatus(status) || status;
+
+  // Overview cards
+  app.get("/admin/stats", verifyFirebaseToken, adminOnly, async (req, res) => {
+    try {
+      const { range } = parseStatsQuery(req.query);
+      const appliedMatch = range ? { appliedAt: range } : {};
+
+      const [statusCounts, roleCounts, revenue] = await Promise.all([
+        applicationsCollection
+          .aggregate([
+            { $match: appliedMatch },
+            { $group: { _id: "$status", count: { $sum: 1 } } },
+          ])
+          .toArray(),
+        usersCollection
+          .aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }])
+          .toArray(),
+        paymentCollection.aggregate(feeRevenue(range, "month")).toArray(),
+      ]);
+
+      const applications = { total: 0 };
+      for (const { _id, count } of statusCounts) {
+        const name = statusName(_id) || "unknown";
+        applications[name] = (applications[name] || 0) + count;
+        applications.total += count;
+      }
+
+      const decided =
+        (applications[STATUS.APPROVED] || 0) +
+        (applications[STATUS.REJECTED] || 0);
+
+      const revenueByCurrency = {};
+      for (const row of revenue) {
+        const currency = row._id.currency || "unknown";
+        revenueByCurrency[currency] = round2(
+          (revenueByCurrency[currency] || 0) + row.net
+        );
+      }
+
+      res.json({
+        applications,
+        approvalRate: decided
+          ? round2((applications[STATUS.APPROVED] || 0) / decided)
+          : null,
+        users: Object.fromEntries(
+          roleCounts.map(({ _id, count }) => [_id || "unknown", count])
+        ),
+        feeRevenue: revenueByCurrency,
+      });
+    } catch (err) {
+      sendHttpError(res, err, "Failed to load stats");
+    }
+  });
+
+  // Applications by status over time
+  app.get(
+    "/admin/stats/applications",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const { range, interval } = parseStatsQuery(req.query);
+        const rows = await applicationsCollection
+          .aggregate(applicationsOverTime(range, interval))
+          .toArray();
+        res.json({
+          interval,
+          series: pivotByPeriod(rows, "status", statusName),
+        });
+      } catch (err) {
+        sendHttpError(res, err, "Failed to load application stats");
+      }
+    }
+  );
+
+  // Approval rate per category (default) or ?groupBy=manager
+  app.get(
+    "/admin/stats/approval-rates",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const { range } = parseStatsQuery(req.query);
+        const groupBy = req.query.groupBy || "category";
+        if (!["category", "manager"].includes(groupBy)) {
+          throw httpError(400, "groupBy must be category or manager");
+        }
+
+        const rows = await applicationsCollection
+          .aggregate(approvalRates(range, groupBy))
+          .toArray();
+        res.json({
+          groupBy,
+          data: rows.map(({ _id, approvalRate, ...row }) => ({
+            [groupBy]: _id ?? null,
+            ...row,
+            approvalRate: approvalRate === null ? null : round2(approvalRate),
+          })),
+        });
+      } catch (err) {
+        sendHttpError(res, err, "Failed to load approval rates");
+      }
+    }
+  );
+
+  // Application fee revenue by day/month, per currency
+  app.get(
+    "/admin/stats/revenue",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const { range, interval } = parseStatsQuery(req.query);
+        const rows = await paymentCollection
+          .aggregate(feeRevenue(range, interval))
+          .toArray();
+        res.json({
+          interval,
+          series: rows.map(({ _id, gross, refunded, net, payments }) => ({
+            period: _id.period,
+            currency: _id.currency || "unknown",
+            gross: round2(gross),
+            refunded: round2(refunded),
+            net: round2(net),
+            payments,
+          })),
+        });
+      } catch (err) {
+        sendHttpError(res, err, "Failed to load revenue");
+      }
+    }
+  );
+
+  // Average time from applying to a decision
+  app.get(
+    "/admin/stats/decision-time",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const { range } = parseStatsQuery(req.query);
+        const rows = await applicationsCollection
+          .aggregate(decisionTime(range))
+          .toArray();
+
+        const decided = rows.reduce((sum, row) => sum + row.decided, 0);
+        const overall = decided
+          ? rows.reduce((sum, row) => sum + row.avgHours * row.decided, 0) /
+            decided
+          : null;
+
+        res.json({
+          avgHours: overall === null ? null : round2(overall),
+          decided,
+          byCategory: rows.map(({ _id, avgHours, decided }) => ({
+            category: _id ?? null,
+            avgHours: round2(avgHours),
+            decided,
+          })),
+        });
+      } catch (err) {
+        sendHttpError(res, err, "Failed to load decision time");
+      }
+    }
+  );
+
+  // Most applied-for loan products — ?limit=10
+  app.get(
+    "/admin/stats/top-loans",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const { range } = parseStatsQuery(req.query);
+        const limit = Math.min(
+          Math.max(parseInt(req.query.limit) || 10, 1),
+          50
+        );
+        const rows = await applicationsCollection
+          .aggregate(topLoans(range, limit))
+          .toArray();
+        res.json({
+          data: rows.map(({ _id, ...row }) => ({ loanId: _id, ...row })),
+        });
+      } catch (err) {
+        sendHttpError(res, err, "Failed to load top loans");
+      }
+    }
+  );
+
+  // New users by role over time
+  app.get(
+    "/admin/stats/user-growth",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const { range, interval } = parseStatsQuery(req.query);
+        const rows = await usersCollection
+          .aggregate(userGrowth(range, interval))
+          .toArray();
+        res.json({ interval, series: pivotByPeriod(rows, "role") });
+      } catch (err) {
+        sendHttpError(res, err, "Failed to load user growth");
+      }
+    }
+  );
+
+  // ==================================================
+  // ============ 🔥 APPLICATION ROUTES 🔥 ============
+  // ==================================================
+
+  // Apply for Loan (User) — `draft: true` saves without submitting
+  app.post(
+    "/applications",
+    verifyFirebaseToken,
+    idempotent,
+    async (req, res) => {
+      try {
+        const loanId = req.body?.loanId;
+        const loan = ObjectId.isValid(loanId)
+          ? await loansCollection.findOne({
+              _id: new ObjectId(loanId),
+              ...NOT_DELETED,
+            })
+          : null;
+
+        const { value, errors } = validateApplication(req.body, loan);
+        if (errors.length) return sendValidationErrors(res, errors);
+
+        // one open application per borrower per product
+        const open = await applicationsCollection.findOne({
+          userEmail: req.decodedEmail,
+          loanId: value.loanId,
+          status: {
+            $in: [STATUS.DRAFT, STATUS.PENDING, STATUS.UNDER_REVIEW],
+          },
+        });
+        if (open) {
+          return res.status(409).json({
+            message: "You already have an open application for this loan",
+            applicationId: open._id,
+          });
+        }
+
+        // products that need documents are applied for as a draft first:
+        // create → upload → PATCH /applications/submit/:id
+        const requiredDocuments = loan.requiredDocuments || [];
+        if (requiredDocuments.length && !value.draft) {
+          return sendValidationErrors(res, [
+            {
+              field: "draft",
+              message: `this loan requires documents (${requiredDocuments.join(
+                ", "
+              )}); save as draft, upload them, then submit`,
+            },
+          ]);
+        }
+
+        const { draft, ...fields } = value;
+        const status = draft ? STATUS.DRAFT : STATUS.PENDING;
+        const loanVersion = await ensureLoanVersion(loan);
+        const user = await usersCollection.findOne({
+          email: req.decodedEmail,
+        });
+        const now = clock();
+
+        const data = {
+          ...fields,
+          userEmail: req.decodedEmail,
+          userName: user?.name || `${fields.firstName} ${fields.lastName}`,
+          // terms as they were when the borrower applied
+          loanTitle: loan.title,
+          category: loan.category,
+          interestRate: loan.interestRate,
+          interestMethod: loan.interestMethod,
+          currency: loan.currency || DEFAULT_CURRENCY,
+          loanVersion,
+          loanTerms: {
+            minAmount: loan.minAmount,
+            maxAmount: loan.maxAmount ?? loan.maxLoanLimit,
+            tenureOptions: loan.tenureOptions || [],
+            requiredDocuments,
+          },
+          status,
+          applicationFeeStatus: "Unpaid",
+          appliedAt: now,
+          statusHistory: [
+            {
+              from: null,
+              to: status,
+              changedBy: req.decodedEmail,
+              role: "user",
+              reason: "",
+              changedAt: now,
+            },
+          ],
+        };
+        if (status === STATUS.PENDING) {
+          data.risk = await assessRisk(data);
+          data.assignedManager = await pickManager();
+          data.assignedAt = data.assignedManager ? now : null;
+        }
+
+        const result = await applicationsCollection.insertOne(data);
+
+        if (status === STATUS.PENDING) {
+          await notify("application_submitted", {
+            to: data.userEmail,
+            data: {
+              applicationId: String(result.insertedId),
+              loanTitle: data.loanTitle,
+              loanAmount: data.loanAmount,
+            },
+          });
+        }
+        res.json(result);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to submit application" });
+      }
+    }
+  );
+
+  // Submit a Draft (User)
+  app.patch(
+    "/applications/submit/:id",
+    verifyFirebaseToken,
+    async (req, res) => {
+      try {
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+        if (application.userEmail !== req.decodedEmail) {
+          return res.status(403).json({ message: "Forbidden access" });
+        }
+
+        const missing = missingDocuments(
+          application.loanTerms?.requiredDocuments,
+          application.documents
+        );
+        if (missing.length) {
+          return sendValidationErrors(
+            res,
+            missing.map((type) => ({
+              field: "documents",
+              message: `${type} is required`,
+            }))
+          );
+        }
+
+        const result = await changeApplicationStatus(req, application, {
+          to: STATUS.PENDING,
+          extra: {
+            appliedAt: clock(),
+            risk: await assessRisk(application),
+            ...(await autoAssignment(application)),
+          },
+        });
+        res.json(result);
+      } catch (err) {
+        sendHttpError(res, err, "Failed to submit application");
+      }
+    }
+  );
+
+  // User Applications (Owner / Admin)
+  app.get(
+    "/applications/user/:email",
+    verifyFirebaseToken,
+    async (req, res) => {
+      try {
+        if (req.params.email !== req.decodedEmail && !(await isAdmin(req))) {
+          return res.status(403).json({ message: "Forbidden access" });
+        }
+
+        const apps = await applicationsCollection
+          .find(
+            { userEmail: req.params.email, ...NOT_DELETED },
+            { projection: APPLICATION_PROJECTION }
+          )
+          .toArray();
+        res.json(apps);
+      } catch (error) {
+        res.status(500).json({ message: "Failed to fetch applications" });
+      }
+    }
+  );
+
+  // Pending Applications (Manager) — ?sort=-risk.score puts the safest first
+  app.get(
+    "/applications/pending",
+    verifyFirebaseToken,
+    managerOnly,
+    async (req, res) => {
+      try {
+        const filter = buildApplicationFilter({
+          ...req.query,
+          status: STATUS.PENDING,
+        });
+        // oldest first: first come, first served
+        const listQuery = parseListQuery(req.query, {
+          ...APPLICATION_LIST,
+          defaultSort: "appliedAt",
+        });
+        res.json(
+          await paginate(applicationsCollection, filter, listQuery, {
+            projection: APPLICATION_PROJECTION,
+          })
+        );
+      } catch (err) {
+        sendHttpError(res, err, "Failed to fetch pending applications");
+      }
+    }
+  );
+
+  // Re-score an application (Manager / Admin), e.g. after new repayments
+  app.post(
+    "/applications/:id/score",
+    verifyFirebaseToken,
+    staffOnly,
+    async (req, res) => {
+      try {
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+
+        const risk = await assessRisk(application);
+        await applicationsCollection.updateOne(
+          { _id: application._id },
+          { $set: { risk } }
+        );
+
+        await recordAudit(req, {
+          action: "application.rescore",
+          targetType: "application",
+          targetId: application._id,
+          before: { risk: application.risk ?? null },
+          after: { risk },
+        });
+        res.json(risk);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to score application" });
+      }
+    }
+  );
+
+  // Approved Applications (Manager / Admin)
+  app.get(
+    "/applications/approved",
+    verifyFirebaseToken,
+    staffOnly,
+    async (req, res) => {
+      try {
+        const apps = await applicationsCollection
+          .find(
+            { status: "Approved", ...NOT_DELETED },
+            { projection: APPLICATION_PROJECTION }
+          )
+          .toArray();
+        res.json(apps);
+      } catch (error) {
+        res.status(500).json({ message: "Failed to fetch approved apps" });
+      }
+    }
+  );
+
+  // My Review Queue (Manager) — open applications assigned to me
+  app.get(
+    "/applications/my-queue",
+    verifyFirebaseToken,
+    managerOnly,
+    async (req, res) => {
+      try {
+        const filter = {
+          ...buildApplicationFilter({ ...req.query, status: undefined }),
+          assignedManager: req.decodedEmail,
+          status: { $in: OPEN_STATUSES },
+        };
+        const listQuery = parseListQuery(req.query, {
+          ...APPLICATION_LIST,
+          defaultSort: "appliedAt",
+        });
+        res.json(
+          await paginate(applicationsCollection, filter, listQuery, {
+            projection: APPLICATION_PROJECTION,
+          })
+        );
+      } catch (err) {
+        sendHttpError(res, err, "Failed to fetch queue");
+      }
+    }
+  );
+
+  // Claim (Manager) — only unassigned applications
+  app.patch(
+    "/applications/claim/:id",
+    verifyFirebaseToken,
+    managerOnly,
+    async (req, res) => {
+      try {
+        const _id = new ObjectId(req.params.id);
+        const before = await applicationsCollection.findOne({ _id });
+        if (!before) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+
+        // conditional update: two managers claiming at once, one wins
+        const result = await applicationsCollection.updateOne(
+          {
+            _id,
+            assignedManager: null,
+            status: { $in: OPEN_STATUSES },
+          },
+          {
+            $set: {
+              assignedManager: req.decodedEmail,
+              assignedAt: clock(),
+              assignedBy: req.decodedEmail,
+            },
+          }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(409).json({
+            message: "Application is already assigned or no longer open",
+          });
+        }
+
+        await recordAudit(req, {
+          action: "application.claim",
+          targetType: "application",
+          targetId: _id,
+          before,
+          after: await applicationsCollection.findOne({ _id }),
+        });
+        res.json(result);
+      } catch (err) {
+        sendHttpError(res, err, "Failed to claim application");
+      }
+    }
+  );
+
+  // Release (Manager) — back to the unassigned pool
+  app.patch(
+    "/applications/release/:id",
+    verifyFirebaseToken,
+    managerOnly,
+    async (req, res) => {
+      try {
+        const _id = new ObjectId(req.params.id);
+        const before = await applicationsCollection.findOne({ _id });
+        if (!before) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+
+        const result = await applicationsCollection.updateOne(
+          { _id, assignedManager: req.decodedEmail },
+          { $set: { assignedManager: null, assignedAt: null } }
+        );
+        if (result.matchedCount === 0) {
+          return res
+            .status(403)
+            .json({ message: "This application is not assigned to you" });
+        }
+
+        await recordAudit(req, {
+          action: "application.release",
+          targetType: "application",
+          targetId: _id,
+          before,
+          after: await applicationsCollection.findOne({ _id }),
+        });
+        res.json(result);
+      } catch (err) {
+        sendHttpError(res, err, "Failed to release application");
+      }
+    }
+  );
+
+  // Assign / Reassign (Admin) — body: { managerEmail } (null to unassign)
+  app.patch(
+    "/admin/applications/assign/:id",
+    verifyFirebaseToken,
+    adminOnly,
+    async (req, res) => {
+      try {
+        const _id = new ObjectId(req.params.id);
+        const managerEmail = req.body?.managerEmail || null;
+
+        const before = await applicationsCollection.findOne({ _id });
+        if (!before) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+
+        if (managerEmail) {
+          const manager = await usersCollection.findOne({
+            email: managerEmail,
+            role: "manager",
+          });
+          if (!manager) {
+            return sendValidationErrors(res, [
+              { field: "managerEmail", message: "is not a manager" },
+            ]);
+          }
+          if (manager.suspended) {
+            return sendValidationErrors(res, [
+              { field: "managerEmail", message: "manager is suspended" },
+            ]);
+          }
+        }
+
+        const result = await applicationsCollection.updateOne(
+          { _id },
+          {
+            $set: {
+              assignedManager: managerEmail,
+              assignedAt: managerEmail ? clock() : null,
+              assignedBy: req.decodedEmail,
+            },
+          }
+        );
+
+        await recordAudit(req, {
+          action: "application.assign",
+          targetType: "application",
+          targetId: _id,
+          before,
+          after: await applicationsCollection.findOne({ _id }),
+        });
+        res.json(result);
+      } catch (err) {
+        sendHttpError(res, err, "Failed to assign application");
+      }
+    }
+  );
+
+  // Start Review (Manager)
+  app.patch(
+    "/applications/review/:id",
+    verifyFirebaseToken,
+    managerOnly,
+    async (req, res) => {
+      try {
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+        assertAssignedTo(req, application);
+
+        const result = await changeApplicationStatus(req, application, {
+          to: STATUS.UNDER_REVIEW,
+          reason: req.body?.reason,
+          guard: { assignedManager: req.decodedEmail },
+        });
+        res.json(result);
+      } catch (err) {
+        sendHttpError(res, err, "Failed to start review");
+      }
+    }
+  );
+
+  // Approve (Manager)
+  app.patch(
+    "/applications/approve/:id",
+    verifyFirebaseToken,
+    managerOnly,
+    async (req, res) => {
+      try {
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+
+        // fail fast before building the schedule
+        assertAssignedTo(req, application);
+        assertTransition(application.status, STATUS.APPROVED);
+
+        const { value: approvedAmount, errors } = validateApprovedAmount(
+          application,
+          req.body?.approvedAmount
+        );
+        if (errors.length) return sendValidationErrors(res, errors);
+
+        const { fields, scheduleError } = await buildApprovalFields(
+          application,
+          approvedAmount
+        );
+
+        const result = await changeApplicationStatus(req, application, {
+          to: STATUS.APPROVED,
+          reason: req.body?.reason,
+          extra: fields,
+          guard: { assignedManager: req.decodedEmail },
+        });
+        res.json(scheduleError ? { ...result, scheduleError } : result);
+      } catch (err) {
+        sendHttpError(res, err, "Failed to approve application");
+      }
+    }
+  );
+
+  // Reject (Manager)
+  app.patch(
+    "/applications/reject/:id",
+    verifyFirebaseToken,
+    managerOnly,
+    async (req, res) => {
+      try {
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+        assertAssignedTo(req, application);
+
+        const result = await changeApplicationStatus(req, application, {
+          to: STATUS.REJECTED,
+          reason: req.body?.reason,
+          guard: { assignedManager: req.decodedEmail },
+        });
+        res.json(result);
+      } catch (err) {
+        sendHttpError(res, err, "Failed to reject application");
+      }
+    }
+  );
+
+  // Cancel (User) — kept as a Cancelled record so payments still resolve
+  app.delete(
+    "/applications/cancel/:id",
+    verifyFirebaseToken,
+    async (req, res) => {
+      try {
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+        if (application.userEmail !== req.decodedEmail) {
+          return res.status(403).json({ message: "Forbidden access" });
+        }
+
+        const result = await changeApplicationStatus(req, application, {
+          to: STATUS.CANCELLED,
+          reason: req.body?.reason,
+        });
+        res.send(result);
+      } catch (err) {
+        sendHttpError(res, err, "Failed to cancel application");
+      }
+    }
+  );
+
+  // Delete (Owner / Admin) — archives a finished application; live ones
+  // have to be cancelled first so the status history stays truthful
+  app.delete("/applications/:id", verifyFirebaseToken, async (req, res) => {
+    try {
+      const application = await applicationsCollection.findOne({
+        _id: new ObjectId(req.params.id),
+        ...NOT_DELETED,
+      });
+      if (!application) {
+        return res.status(404).json({ message: "Application not found" });
+      }
+      if (application.userEmail !== req.decodedEmail && !(await isAdmin(req))) {
+        return res.status(403).json({ message: "Forbidden access" });
+      }
+      if (ACTIVE_STATUSES.includes(normalizeStatus(application.status))) {
+        return res.status(409).json({
+          message: `A ${application.status} application can't be deleted; cancel it first`,
+        });
+      }
+
+      const result = await applicationsCollection.updateOne(
+        { _id: application._id, ...NOT_DELETED },
+        { $set: { deletedAt: clock(), deletedBy: req.decodedEmail } }
+      );
+
+      await recordAudit(req, {
+        action: "application.archive",
+        targetType: "application",
+        targetId: application._id,
+        before: application,
+        after: await applicationsCollection.findOne({ _id: application._id }),
+      });
+      res.json(result);
+    } catch (err) {
+      sendHttpError(res, err, "Failed to delete application");
+    }
+  });
+
+  // Repayment Schedule (Owner / Assigned Manager / Admin)
+  app.get(
+    "/applications/:id/schedule",
+    verifyFirebaseToken,
+    async (req, res) => {
+      try {
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+
+        if (!(await canAccessApplication(req, application))) {
+          return res.status(403).json({ message: "Forbidden access" });
+        }
+
+        if (!application.repaymentSchedule) {
+          return res
+            .status(404)
+            .json({ message: "No repayment schedule for this application" });
+        }
+
+        res.json(application.repaymentSchedule);
+      } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Failed to load schedule" });
+      }
+    }
+  );
+
+  // ==================================================
+  // ============= 🔥 DOCUMENT ROUTES 🔥 ==============
+  // ==================================================
+
+  // Documents can change until a manager starts the review
+  const DOCUMENT_EDITABLE = [STATUS.DRAFT, STATUS.PENDING];
+  const MAX_DOCUMENTS = 10;
+
+  // Upload Document (Owner) — multipart: file=<file>, type=<document type>
+  app.post(
+    "/applications/:id/documents",
+    verifyFirebaseToken,
+    uploadDocument,
+    async (req, res) => {
+      try {
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+        if (application.userEmail !== req.decodedEmail) {
+          return res.status(403).json({ message: "Forbidden access" });
+        }
+        if (!DOCUMENT_EDITABLE.includes(normalizeStatus(application.status))) {
+          return res.status(409).json({
+            message: "Documents can't be changed once review has started",
+          });
+        }
+        if ((application.documents || []).length >= MAX_DOCUMENTS) {
+          return res.status(409).json({
+            message: `An application can have at most ${MAX_DOCUMENTS} documents`,
+          });
+        }
+
+        const errors = [];
+        if (!DOCUMENT_TYPES.includes(req.body?.type)) {
+          errors.push({
+            field: "type",
+            message: `must be one of: ${DOCUMENT_TYPES.join(", ")}`,
+          });
+        }
+        const fileError = checkDocumentFile(req.file);
+        if (fileError) errors.push({ field: "file", message: fileError });
+        if (errors.length) return sendValidationErrors(res, errors);
+
+        const { ext } = ALLOWED_MIME_TYPES[req.file.mimetype];
+        const storageKey = `applications/${application._id}/${crypto
+          .randomBytes(16)
+          .toString("hex")}${ext}`;
+        await storage.save(storageKey, req.file.buffer);
+
+        const document = {
+          _id: new ObjectId(),
+          type: req.body.type,
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
+          size: req.file.size,
+          storageKey,
+          uploadedBy: req.decodedEmail,
+          uploadedAt: clock(),
+        };
+
+        await applicationsCollection.updateOne(
+          { _id: application._id },
+          { $push: { documents: document } }
+        );
+
+        const { storageKey: _key, ...publicDocument } = document;
+        res.status(201).json(publicDocument);
+      } catch (err) {
+        console.error("UPLOAD ERROR:", err);
+        res.status(500).json({ message: "Failed to upload document" });
+      }
+    }
+  );
+
+  // List Documents (Owner / Assigned Manager / Admin)
+  app.get(
+    "/applications/:id/documents",
+    verifyFirebaseToken,
+    async (req, res) => {
+      try {
+        const application = await applicationsCollection.findOne(
+          { _id: new ObjectId(req.params.id) },
+          { projection: APPLICATION_PROJECTION }
+        );
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+        if (!(await canAccessApplication(req, application))) {
+          return res.status(403).json({ message: "Forbidden access" });
+        }
+
+        res.json({
+          documents: application.documents || [],
+          missing: missingDocuments(
+            application.loanTerms?.requiredDocuments,
+            application.documents
+          ),
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to load documents" });
+      }
+    }
+  );
+
+  // Download Document (Owner / Assigned Manager / Admin)
+  app.get(
+    "/applications/:id/documents/:documentId",
+    verifyFirebaseToken,
+    async (req, res) => {
+      try {
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+        if (!(await canAccessApplication(req, application))) {
+          return res.status(403).json({ message: "Forbidden access" });
+        }
+
+        const document = (application.documents || []).find(
+          (doc) => String(doc._id) === req.params.documentId
+        );
+        if (!document) {
+          return res.status(404).json({ message: "Document not found" });
+        }
+
+        const fileName = document.originalName.replace(/[^\w.\- ]/g, "_");
+        const stream = storage.createReadStream(document.storageKey);
+        stream.on("error", (err) => {
+          console.error("DOWNLOAD ERROR:", err);
+          if (!res.headersSent) {
+            res.status(404).json({ message: "Document file is missing" });
+          } else {
+            res.end();
+          }
+        });
+        stream.once("open", () => {
+          res.setHeader("Content-Type", document.mimeType);
+          res.setHeader(
+            "Content-Disposition",
+            `attachment; filename="${fileName}"`
+          );
+        });
+        stream.pipe(res);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to download document" });
+      }
+    }
+  );
+
+  // Remove Document (Owner)
+  app.delete(
+    "/applications/:id/documents/:documentId",
+    verifyFirebaseToken,
+    async (req, res) => {
+      try {
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+        if (application.userEmail !== req.decodedEmail) {
+          return res.status(403).json({ message: "Forbidden access" });
+        }
+        if (!DOCUMENT_EDITABLE.includes(normalizeStatus(application.status))) {
+          return res.status(409).json({
+            message: "Documents can't be changed once review has started",
+          });
+        }
+
+        const document = (application.documents || []).find(
+          (doc) => String(doc._id) === req.params.documentId
+        );
+        if (!document) {
+          return res.status(404).json({ message: "Document not found" });
+        }
+
+        const result = await applicationsCollection.updateOne(
+          { _id: application._id },
+          { $pull: { documents: { _id: document._id } } }
+        );
+        await storage.remove(document.storageKey);
+        res.json(result);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to remove document" });
+      }
+    }
+  );
+
+  // ****************************************************************************
+  // Get Single Application (Owner / Assigned Manager / Admin)
+  app.get("/applications/:id", verifyFirebaseToken, async (req, res) => {
+    try {
+      const loan = await applicationsCollection.findOne(
+        { _id: new ObjectId(req.params.id), ...NOT_DELETED },
+        { projection: APPLICATION_PROJECTION }
+      );
+      if (!loan) {
+        return res.status(404).send({ message: "Loan not found" });
+      }
+      if (!(await canAccessApplication(req, loan))) {
+        return res.status(403).send({ message: "Forbidden access" });
+      }
+
+      res.send(loan);
+    } catch (error) {
+      console.error(error);
+      res.status(500).send({ message: "Invalid ID or server error", error });
+    }
+  });
+
+  // ==================================================
+  // =========== 🔥 NOTIFICATION ROUTES 🔥 ============
+  // ==================================================
+
+  // My Notifications — ?unread=true&page=&limit=
+  app.get("/notifications", verifyFirebaseToken, async (req, res) => {
+    try {
+      const listQuery = parseListQuery(req.query, {
+        sortFields: ["createdAt"],
+        defaultSort: "-createdAt",
+      });
+      const filter = { userEmail: req.decodedEmail };
+      if (req.query.unread === "true") filter.read = false;
+
+      const [page, unreadCount] = await Promise.all([
+        paginate(notificationsCollection, filter, listQuery),
+        notificationsCollection.countDocuments({
+          userEmail: req.decodedEmail,
+          read: false,
+        }),
+      ]);
+      res.json({ ...page, unreadCount });
+    } catch (err) {
+      sendHttpError(res, err, "Failed to load notifications");
+    }
+  });
+
+  // Mark All as Read
+  app.patch(
+    "/notifications/read-all",
+    verifyFirebaseToken,
+    async (req, res) => {
+      try {
+        const result = await notificationsCollection.updateMany(
+          { userEmail: req.decodedEmail, read: false },
+          { $set: { read: true, readAt: clock() } }
+        );
+        res.json(result);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to update notifications" });
+      }
+    }
+  );
+
+  // Mark One as Read
+  app.patch(
+    "/notifications/:id/read",
+    verifyFirebaseToken,
+    async (req, res) => {
+      try {
+        // scoped by owner so nobody can touch someone else's inbox
+        const result = await notificationsCollection.updateOne(
+          { _id: new ObjectId(req.params.id), userEmail: req.decodedEmail },
+          { $set: { read: true, readAt: clock() } }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(404).json({ message: "Notification not found" });
+        }
+        res.json(result);
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Failed to update notification" });
+      }
+    }
+  );
+
+  // ==================================================
+  // ============ 🔥 PDF DOCUMENT ROUTES 🔥 ============
+  // ==================================================
+
+  const isAdmin = async (req) => {
+    const user = await usersCollection.findOne({ email: req.decodedEmail });
+    return user?.role === "admin";
+  };
+
+  // Reference is created once and reused, so reprints verify the same way
+  const ensureVerificationRef = async (collection, doc, field) => {
+    if (doc[field]) return doc[field];
+    await collection.updateOne(
+      { _id: doc._id, [field]: { $exists: false } },
+      { $set: { [field]: generateVerificationRef() } }
+    );
+    const fresh = await collection.findOne(
+      { _id: doc._id },
+      { projection: { [field]: 1 } }
+    );
+    return fresh[field];
+  };
+
+  // Payment Receipt PDF (Owner / Admin)
+  app.get("/payments/:id/receipt", verifyFirebaseToken, async (req, res) => {
+    try {
+      const payment = await paymentCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!payment) {
+        return res.status(404).json({ message: "Payment not found" });
+      }
+      if (payment.customerEmail !== req.decodedEmail && !(await isAdmin(req))) {
+        return res.status(403).json({ message: "Forbidden access" });
+      }
+
+      const verificationRef = await ensureVerificationRef(
+        paymentCollection,
+        payment,
+        "verificationRef"
+      );
+      renderPaymentReceipt(res, {
+        payment,
+        verificationRef,
+        generatedAt: clock(),
+      });
+    } catch (err) {
+      console.error("RECEIPT ERROR:", err);
+      if (!res.headersSent) {
+        res.status(500).json({ message: "Failed to generate receipt" });
+      }
+    }
+  });
+
+  // Approval Letter PDF (Owner / Admin)
+  app.get(
+    "/applications/:id/approval-letter",
+    verifyFirebaseToken,
+    async (req, res) => {
+      try {
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+        if (
+          application.userEmail !== req.decodedEmail &&
+          !(await isAdmin(req))
+        ) {
+          return res.status(403).json({ message: "Forbidden access" });
+        }
+
+        const approved = [STATUS.APPROVED, STATUS.DISBURSED, STATUS.CLOSED];
+        if (!approved.includes(normalizeStatus(application.status))) {
+          return res
+            .status(409)
+            .json({ message: "Application has not been approved" });
+        }
+
+        const verificationRef = await ensureVerificationRef(
+          applicationsCollection,
+          application,
+          "approvalLetterRef"
+        );
+        renderApprovalLetter(res, {
+          application,
+          verificationRef,
+          generatedAt: clock(),
+        });
+      } catch (err) {
+        console.error("LETTER ERROR:", err);
+        if (!res.headersSent) {
+          res.status(500).json({ message: "Failed to generate letter" });
+        }
+      }
+    }
+  );
+
+  // Verify a printed document (Public) — only non-sensitive fields
+  app.get("/verify/:reference", async (req, res) => {
+    try {
+      const reference = req.params.reference;
+
+      const payment = await paymentCollection.findOne({
+        verificationRef: reference,
+      });
+      if (payment) {
+        return res.json({
+          valid: true,
+          type: "payment_receipt",
+          loanTitle: payment.loanTitle,
+          amount: payment.amount,
+          currency: payment.currency,
+          trackingId: payment.trackingId,
+          date: payment.paidAt,
+        });
+      }
+
+      const application = await applicationsCollection.findOne({
+        approvalLetterRef: reference,
+      });
+      if (application) {
+        return res.json({
+          valid: true,
+          type: "approval_letter",
+          loanTitle: application.loanTitle,
+          amount: application.approvedAmount ?? application.loanAmount,
+          currency: application.currency || DEFAULT_CURRENCY,
+          trackingId: application.trackingId,
+          date: application.approvedAt,
+        });
+      }
+
+      res.status(404).json({ valid: false, message: "Unknown reference" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Verification failed" });
+    }
+  });
+
+  // ==================================================
+  // ============ 🔥 PUBLIC TRACKING 🔥 ===============
+  // ==================================================
+
+  const TRACKING_ID_PATTERN = /^LL-\d{8}-[A-F0-9]{6}$/;
+
+  // Track by ID (Public) — status only, nothing personal
+  app.get("/track/:trackingId", trackingLimiter, async (req, res) => {
+    try {
+      const trackingId = String(req.params.trackingId).trim().toUpperCase();
+      if (!TRACKING_ID_PATTERN.test(trackingId)) {
+        return res.status(400).json({ message: "Invalid tracking ID" });
+      }
+
+      let application = await applicationsCollection.findOne({ trackingId });
+      let payment = null;
+
+      // repayments have their own tracking IDs; show their application
+      if (!application) {
+        payment = await paymentCollection.findOne({ trackingId });
+        if (payment && ObjectId.isValid(payment.applicationId)) {
+          application = await applicationsCollection.findOne({
+            _id: new ObjectId(payment.applicationId),
+          });
+        }
+      }
+
+      if (!application && !payment) {
+        return res.status(404).json({ message: "Tracking ID not found" });
+      }
+
+      res.json({
+        trackingId,
+        loanTitle: application?.loanTitle || payment?.loanTitle,
+        status: application
+          ? normalizeStatus(application.status) || application.status
+          : null,
+        paymentStatus: payment?.paymentStatus || application?.paymentStatus,
+        lastUpdate:
+          application?.updatedAt ||
+          application?.paidAt ||
+          application?.appliedAt ||
+          payment?.paidAt,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Tracking lookup failed" });
+    }
+  });
+
+  // ================= STRIPE PAYMENT =================
+  app.post(
+    "/payment-checkout-system",
+    verifyFirebaseToken,
+    checkoutLimiter,
+    idempotent,
+    async (req, res) => {
+      try {
+        const { loanId, loanTitle, loanAmount, userEmail } = req.body;
+
+        // fee is charged in the currency of the loan applied for
+        // (loanId here is the application's id)
+        const application = ObjectId.isValid(loanId)
+          ? await applicationsCollection.findOne(
+              { _id: new ObjectId(loanId) },
+              { projection: { currency: 1 } }
+            )
+          : null;
+        const currency = application?.currency || DEFAULT_CURRENCY;
+
+        // amount must be an integer in the currency's smallest unit
+        const amount = toMinorUnits(parseFloat(loanAmount), currency);
+
+        const session = await payments.checkout.sessions.create({
+          payment_method_types: ["card"],
+          // ✅ autofill user email
+          customer_email: userEmail, // এই লাইনটি add করতে হবে
+          line_items: [
+            {
+              price_data: {
+                currency,
+                unit_amount: amount,
+                product_data: {
+                  name: `Loan Application Fee - ${loanTitle}`,
+                },
+              },
+              quantity: 1,
+            },
+          ],
+
+          mode: "payment",
+
+          // later verification er jonno
+          metadata: {
+            loanId,
+            userEmail,
+            loanTitle: loanTitle,
+          },
+          // same metadata on the intent so payment_intent.succeeded can be matched
+          payment_intent_data: {
+            metadata: { loanId, userEmail, loanTitle },
+          },
+
+          success_url: `${process.env.SITE_DOMAIN}/dashboard/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+          cancel_url: `${process.env.SITE_DOMAIN}/dashboard/payment-cancelled`,
+        });
+
+        res.json({ url: session.url });
+      } catch (error) {
+        console.error("Stripe Error:", error);
+        res.status(500).json({ message: "Payment session failed" });
+      }
+    }
+  );
+
+  // ================= STRIPE REPAYMENT (EMI / PARTIAL / PREPAYMENT) =================
+  app.post(
+    "/repayment-checkout",
+    verifyFirebaseToken,
+    checkoutLimiter,
+    idempotent,
+    async (req, res) => {
+      try {
+        const { applicationId, type, installmentNumber, amount } = req.body;
+
+        if (!REPAYMENT_TYPES.includes(type)) {
+          return res.status(400).json({
+            message: `Type must be one of: ${REPAYMENT_TYPES.join(", ")}`,
+          });
+        }
+
+        if (!ObjectId.isValid(applicationId)) {
+          return res.status(400).json({ message: "Invalid application ID" });
+        }
+
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(applicationId),
+        });
+
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+        if (application.userEmail !== req.decodedEmail) {
+          return res.status(403).json({ message: "Forbidden access" });
+        }
+
+        const schedule = application.repaymentSchedule;
+        const repayable = [STATUS.APPROVED, STATUS.DISBURSED];
+        if (
+          !repayable.includes(normalizeStatus(application.status)) ||
+          !schedule
+        ) {
+          return res.status(409).json({
+            message: "Application has no active repayment schedule",
+          });
+        }
+        if (schedule.outstandingBalance <= 0) {
+          return res.status(409).json({ message: "Loan is already repaid" });
+        }
+
+        // ================= AMOUNT TO CHARGE =================
+        // older schedules don't carry their currency
+        const currency =
+          schedule.currency || application.currency || DEFAULT_CURRENCY;
+        let payAmount;
+        if (type === "installment") {
+          const installment = schedule.installments.find(
+            (row) => row.number === parseInt(installmentNumber)
+          );
+          if (!installment) {
+            return res.status(404).json({ message: "Installment not found" });
+          }
+          payAmount = installmentDue(installment, currency);
+          if (payAmount <= 0) {
+            return res
+              .status(409)
+              .json({ message: "Installment is already paid" });
+          }
+        } else {
+          payAmount = roundMoney(parseFloat(amount), currency);
+          if (!(payAmount > 0) || payAmount > schedule.outstandingBalance) {
+            return res.status(400).json({
+              message: `Amount must be between 0 and ${schedule.outstandingBalance}`,
+            });
+          }
+        }
+
+        const metadata = {
+          paymentType: "repayment",
+          repaymentType: type,
+          applicationId,
+          installmentNumber:
+            type === "installment" ? String(installmentNumber) : "",
+          userEmail: req.decodedEmail,
+          loanTitle: application.loanTitle || "",
+        };
+
+        const label =
+          type === "installment"
+            ? `Installment #${installmentNumber}`
+            : type === "partial"
+            ? "Partial Repayment"
+            : "Prepayment";
+
+        const session = await payments.checkout.sessions.create({
+          payment_method_types: ["card"],
+          customer_email: req.decodedEmail,
+          line_items: [
+            {
+              price_data: {
+                currency,
+                unit_amount: toMinorUnits(payAmount, currency),
+                product_data: {
+                  name: `${label} - ${application.loanTitle || "Loan"}`,
+                },
+              },
+              quantity: 1,
+            },
+          ],
+          mode: "payment",
+          metadata,
+          payment_intent_data: { metadata },
+          success_url: `${process.env.SITE_DOMAIN}/dashboard/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+          cancel_url: `${process.env.SITE_DOMAIN}/dashboard/payment-cancelled`,
+        });
+
+        res.json({ url: session.url, amount: payAmount });
+      } catch (error) {
+        console.error("Stripe Error:", error);
+        res.status(500).json({ message: "Payment session failed" });
+      }
+    }
+  );
+
+  // ================= UNIQUE TRACKING IDS =================
+  // Runs `write(trackingId)` and retries with a new ID when the unique
+  // trackingId index reports a collision. The first attempt reuses
+  // `initialId` when given.
+  const withUniqueTrackingId = async (write, initialId) => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const trackingId =
+        attempt === 0 && initialId ? initialId : generateTrackingId(clock());
+      try {
+        return await write(trackingId);
+      } catch (err) {
+        if (err.code !== 11000 || !err.keyPattern?.trackingId) throw err;
+      }
+    }
+    throw new Error("Could not generate a unique tracking ID");
+  };
+
+  // ================= PAYMENT RECORDING (shared by webhook) =================
+  // Inserts a payment exactly once per payment intent. Safe to call for both
+  // checkout.session.completed and payment_intent.succeeded.
+  const savePaymentOnce = async (paymentHistory) => {
+    const { transactionId, sessionId } = paymentHistory;
+
+    const existingPayment = await paymentCollection.findOne({
+      transactionId,
+    });
+
+    if (existingPayment) {
+      // checkout.session.completed may arrive after payment_intent.succeeded
+      if (sessionId && !existingPayment.sessionId) {
+        await paymentCollection.updateOne(
+          { _id: existingPayment._id },
+          { $set: { sessionId } }
+        );
+      }
+      return { payment: existingPayment, created: false };
+    }
+
+    // upsert keyed by transactionId; the unique transactionId index makes
+    // the loser of two concurrent events fail with 11000 instead of
+    // inserting a second row. A tracking ID collision just gets a fresh ID.
+    const hasTrackingId = !!paymentHistory.trackingId;
+    let result;
+    try {
+      result = await withUniqueTrackingId(async (trackingId) => {
+        if (hasTrackingId) paymentHistory = { ...paymentHistory, trackingId };
+        return paymentCollection.updateOne(
+          { transactionId },
+          { $setOnInsert: paymentHistory },
+          { upsert: true }
+        );
+      }, paymentHistory.trackingId);
+    } catch (err) {
+      if (err.code !== 11000 || !err.keyPattern?.transactionId) throw err;
+      result = {};
+    }
+
+    if (!result.upsertedId) {
+      const payment = await paymentCollection.findOne({ transactionId });
+      return { payment, created: false };
+    }
+
+    return {
+      payment: { _id: result.upsertedId, ...paymentHistory },
+      created: true,
+    };
+  };
+
+  // Application fee: marks the application as paid
+  const recordApplicationFeePayment = async ({
+    applicationId,
+    transactionId,
+    sessionId,
+    loanTitle,
+    amount,
+    currency,
+    customerEmail,
+  }) => {
+    if (!applicationId || !transactionId) return null;
+
+    const now = clock();
+    const { payment } = await savePaymentOnce({
+      paymentType: "application_fee",
+      applicationId,
+      loanTitle: loanTitle || "Loan Application Fee",
+      amount,
+      currency,
+      customerEmail,
+      transactionId,
+      sessionId: sessionId || null,
+      paymentStatus: "paid",
+      trackingId: generateTrackingId(clock()),
+      paidAt: now,
+      createdAt: now,
+    });
+
+    // runs even when the payment row already existed, so a retried event
+    // finishes what a failed attempt started. Matching only while the
+    // application doesn't carry this transaction keeps a late replay from
+    // undoing a refund, and lets exactly one event send the notification.
+    const marked = await applicationsCollection.updateOne(
+      {
+        _id: new ObjectId(applicationId),
+        transactionId: { $ne: transactionId },
+      },
+      {
+        $set: {
+          applicationFeeStatus: "Paid",
+          paymentStatus: "Paid",
+          trackingId: payment.trackingId,
+          transactionId,
+          paidAt: payment.paidAt || now,
+        },
+      }
+    );
+    if (marked.modifiedCount === 0) return payment;
+
+    await notify("payment_succeeded", {
+      to: customerEmail,
+      data: {
+        applicationId,
+        loanTitle: payment.loanTitle,
+        amount,
+        currency,
+        trackingId: payment.trackingId,
+      },
+    });
+
+    return payment;
+  };
+
+  // Repayment (EMI / partial / prepayment): allocates the amount over the
+  // schedule. The schedule keeps the transaction IDs it has absorbed and
+  // the update only matches while this one isn't among them, so the two
+  // Stripe events for one payment can never allocate it twice.
+  const recordRepaymentPayment = async ({
+    applicationId,
+    transactionId,
+    sessionId,
+    repaymentType,
+    installmentNumber,
+    loanTitle,
+    amount,
+    currency,
+    customerEmail,
+  }) => {
+    if (!applicationId || !transactionId) return null;
+
+    const now = clock();
+    const { payment } = await savePaymentOnce({
+      paymentType: repaymentType,
+      applicationId,
+      installmentNumber: installmentNumber ? parseInt(installmentNumber) : null,
+      loanTitle: loanTitle || "Loan Repayment",
+      amount,
+      currency,
+      customerEmail,
+      transactionId,
+      sessionId: sessionId || null,
+      paymentStatus: "paid",
+      trackingId: generateTrackingId(clock()),
+      allocated: false,
+      paidAt: now,
+      createdAt: now,
+    });
+
+    if (payment.allocated) return payment;
+
+    // optimistic concurrency: retry if another repayment moved totalPaid
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const application = await applicationsCollection.findOne({
+        _id: new ObjectId(applicationId),
+      });
+      const schedule = application?.repaymentSchedule;
+      if (!schedule) throw new Error("Application has no repayment schedule");
+
+      const appliedTransactions = schedule.appliedTransactions || [];
+      if (appliedTransactions.includes(transactionId)) {
+        // the other event got here first; it also fills in the allocations
+        await paymentCollection.updateOne(
+          { _id: payment._id },
+          { $set: { allocated: true } }
+        );
+        return payment;
+      }
+
+      const {
+        schedule: updated,
+        allocations,
+        unallocated,
+      } = allocateRepayment(schedule, amount, {
+        type: repaymentType,
+        installmentNumber,
+        currency: schedule.currency || application.currency,
+        now,
+      });
+
+      const result = await applicationsCollection.updateOne(
+        {
+          _id: application._id,
+          "repaymentSchedule.totalPaid": schedule.totalPaid,
+          "repaymentSchedule.appliedTransactions": { $ne: transactionId },
+        },
+        {
+          $set: {
+            repaymentSchedule: {
+              ...updated,
+              appliedTransactions: [...appliedTransactions, transactionId],
+            },
+            outstandingBalance: updated.outstandingBalance,
+            repaymentStatus:
+              updated.outstandingBalance <= 0 ? "Completed" : "Repaying",
+            lastRepaymentAt: now,
+          },
+        }
+      );
+
+      if (result.modifiedCount === 1) {
+        await paymentCollection.updateOne(
+          { _id: payment._id },
+          {
+            $set: {
+              allocated: true,
+              allocations,
+              unallocated,
+              outstandingBalance: updated.outstandingBalance,
+            },
+          }
+        );
+
+        await notify("payment_succeeded", {
+          to: customerEmail,
+          data: {
+            applicationId,
+            loanTitle: payment.loanTitle,
+            amount,
+            currency,
+            trackingId: payment.trackingId,
+          },
+        });
+        return payment;
+      }
+    }
+
+    throw new Error("Repayment allocation conflict, will retry");
+  };
+
+  // Routes a paid Stripe object to the right recorder by its metadata
+  const recordStripePayment = (metadata = {}, details) => {
+    if (metadata.paymentType === "repayment") {
+      return recordRepaymentPayment({
+        ...details,
+        applicationId: metadata.applicationId,
+        repaymentType: metadata.repaymentType,
+        installmentNumber: metadata.installmentNumber,
+        loanTitle: metadata.loanTitle,
+      });
+    }
+
+    return recordApplicationFeePayment({
+      ...details,
+      applicationId: metadata.loanId,
+      loanTitle: metadata.loanTitle,
+    });
+  };
+
+  // Mirrors a Stripe refund (full or partial) onto the payment & application
+  const recordChargeRefund = async (charge) => {
+    const transactionId = charge.payment_intent;
+    const payment = await paymentCollection.findOne({ transactionId });
+    if (!payment) return null;
+
+    const amountRefunded = fromMinorUnits(
+      charge.amount_refunded,
+      charge.currency
+    );
+    const fullyRefunded = charge.refunded === true;
+    const status = fullyRefunded ? "Refunded" : "Partially Refunded";
+
+    await paymentCollection.updateOne(
+      { _id: payment._id },
+      {
+        $set: {
+          paymentStatus: fullyRefunded ? "refunded" : "partially_refunded",
+          amountRefunded,
+          refundedAt: clock(),
+        },
+      }
+    );
+
+    // repayments have their own balance; only the fee drives these flags
+    if (!payment.paymentType || payment.paymentType === "application_fee") {
+      await applicationsCollection.updateOne(
+        { _id: new ObjectId(payment.applicationId) },
+        { $set: { applicationFeeStatus: status, paymentStatus: status } }
+      );
+    }
+
+    return payment;
+  };
+
+  // ================= STRIPE WEBHOOK =================
+  // Source of truth for payments: the browser redirect can be lost,
+  // Stripe's signed events can't.
+  app.post("/stripe/webhook", async (req, res) => {
+    let event;
+
+    try {
+      event = payments.webhooks.constructEvent(
+        req.rawBody,
+        req.headers["stripe-signature"],
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+    } catch (error) {
+      console.error("WEBHOOK SIGNATURE ERROR:", error.message);
+      return res.status(400).json({ message: "Invalid signature" });
+    }
+
+    // ================= EVENT DE-DUPLICATION =================
+    try {
+      await stripeEventsCollection.insertOne({
+        _id: event.id,
+        type: event.type,
+        receivedAt: clock(),
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.json({ received: true, duplicate: true });
+      }
+      console.error("WEBHOOK STORE ERROR:", error);
+      return res.status(500).json({ message: "Webhook storage failed" });
+    }
+
+    try {
+      const object = event.data.object;
+
+      switch (event.type) {
+        case "checkout.session.completed":
+          if (object.payment_status === "paid") {
+            await recordStripePayment(object.metadata, {
+              transactionId: object.payment_intent,
+              sessionId: object.id,
+              amount: fromMinorUnits(object.amount_total, object.currency),
+              currency: object.currency,
+              customerEmail:
+                object.customer_email || object.metadata?.userEmail,
+            });
+          }
+          break;
+
+        case "payment_intent.succeeded":
+          await recordStripePayment(object.metadata, {
+            transactionId: object.id,
+            amount: fromMinorUnits(object.amount_received, object.currency),
+            currency: object.currency,
+            customerEmail: object.receipt_email || object.metadata?.userEmail,
+          });
+          break;
+
+        case "charge.refunded":
+          await recordChargeRefund(object);
+          break;
+
+        default:
+          break;
+      }
+
+      await stripeEventsCollection.updateOne(
+        { _id: event.id },
+        { $set: { processedAt: clock() } }
+      );
+      res.json({ received: true });
+    } catch (error) {
+      // forget the event so Stripe's retry gets processed again
+      await stripeEventsCollection.deleteOne({ _id: event.id });
+      console.error("WEBHOOK PROCESS ERROR:", error);
+      res.status(500).json({ message: "Webhook processing failed" });
+    }
+  });
+
+  // ================= APPLICATION FEE REFUND (Manager / Admin) =================
+  // Body: { amount?, reason? } — amount defaults to whatever is still refundable.
+  // Accepts an Idempotency-Key so a double click refunds once.
+  app.post(
+    "/applications/:id/refund",
+    verifyFirebaseToken,
+    staffOnly,
+    idempotent,
+    async (req, res) => {
+      try {
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+
+        const refundable = [STATUS.REJECTED, STATUS.CANCELLED];
+        if (!refundable.includes(normalizeStatus(application.status))) {
+          return res.status(409).json({
+            message: "Only rejected or cancelled applications can be refunded",
+          });
+        }
+
+        const payment = application.transactionId
+          ? await paymentCollection.findOne({
+              transactionId: application.transactionId,
+            })
+          : null;
+        if (!payment) {
+          return res
+            .status(409)
+            .json({ message: "No application fee payment to refund" });
+        }
+
+        const currency = payment.currency || DEFAULT_CURRENCY;
+        const refundedBefore = payment.amountRefunded || 0;
+        const remaining = roundMoney(payment.amount - refundedBefore, currency);
+        const amount =
+          req.body?.amount === undefined
+            ? remaining
+            : roundMoney(parseFloat(req.body.amount), currency);
+        if (!(amount > 0) || amount > remaining) {
+          return res.status(400).json({
+            message: `Refund amount must be between 0 and ${remaining}`,
+          });
+        }
+
+        // reserve the amount before Stripe is called: of two concurrent
+        // refunds only the one that moves amountRefunded first goes on, and
+        // a retry after a failed local write sees what is already refunded
+        const amountRefunded = roundMoney(refundedBefore + amount, currency);
+        const reserved = await paymentCollection.updateOne(
+          {
+            _id: payment._id,
+            amountRefunded: refundedBefore || { $in: [null, 0] },
+          },
+          { $set: { amountRefunded } }
+        );
+        if (reserved.modifiedCount !== 1) {
+          return res.status(409).json({
+            message: "Another refund of this payment is in progress, retry",
+          });
+        }
+
+        let refund;
+        try {
+          refund = await payments.refunds.create(
+            {
+              payment_intent: payment.transactionId,
+              amount: toMinorUnits(amount, currency),
+              metadata: {
+                applicationId: String(application._id),
+                refundedBy: req.decodedEmail,
+              },
+            },
+            // one key per reserved slice, so Stripe replays instead of
+            // refunding the same slice twice
+            {
+              idempotencyKey: `refund:${payment._id}:${refundedBefore}-${amountRefunded}`,
+            }
+          );
+        } catch (error) {
+          // nothing was refunded, give the reservation back
+          await paymentCollection.updateOne(
+            { _id: payment._id, amountRefunded },
+            { $set: { amountRefunded: refundedBefore } }
+          );
+          throw error;
+        }
+
+        const now = clock();
+        const fullyRefunded = amountRefunded >= payment.amount;
+        const status = fullyRefunded ? "Refunded" : "Partially Refunded";
+
+        // refund entry sits in payment history next to the original payment
+        const refundEntry = {
+          paymentType: "refund",
+          refundOf: payment._id,
+          originalTransactionId: payment.transactionId,
+          applicationId: payment.applicationId,
+          loanTitle: payment.loanTitle,
+          amount,
+          currency: payment.currency,
+          customerEmail: payment.customerEmail,
+          transactionId: refund.id,
+          paymentStatus: refund.status,
+          reason: req.body?.reason || "",
+          refundedBy: req.decodedEmail,
+          paidAt: now,
+          createdAt: now,
+        };
+        const { payment: savedRefund } = await savePaymentOnce(refundEntry);
+
+        await paymentCollection.updateOne(
+          { _id: payment._id },
+          {
+            $set: {
+              paymentStatus: fullyRefunded ? "refunded" : "partially_refunded",
+              amountRefunded,
+              refundedAt: now,
+            },
+            $push: { refunds: savedRefund._id },
+          }
+        );
+
+        await applicationsCollection.updateOne(
+          { _id: application._id },
+          { $set: { applicationFeeStatus: status, paymentStatus: status } }
+        );
+
+        await recordAudit(req, {
+          action: "payment.refund",
+          targetType: "application",
+          targetId: application._id,
+          before: { applicationFeeStatus: application.applicationFeeStatus },
+          after: { applicationFeeStatus: status, refundAmount: amount },
+        });
+
+        res.json({
+          success: true,
+          refundId: refund.id,
+          amount,
+          amountRefunded,
+          applicationFeeStatus: status,
+        });
+      } catch (error) {
+        if (error.type === "StripeInvalidRequestError") {
+          return res.status(400).json({ message: error.message });
+        }
+        console.error("REFUND ERROR:", error);
+        res.status(500).json({ message: "Refund failed" });
+      }
+    }
+  );
+
+  // ================= PAYMENT SUCCESS (REDIRECT) =================
+  // Only reads what the webhook recorded; never writes payments itself.
+  app.patch("/payment-success", async (req, res) => {
+    try {
+      const sessionId = req.query.session_id;
+
+      if (!sessionId) {
+        return res.status(400).json({ message: "Session ID missing" });
+      }
+
+      const payment = await paymentCollection.findOne({ sessionId });
+
+      if (payment) {
+        return res.send({
+          success: true,
+          message: "Payment verified & recorded successfully",
+          transactionId: payment.transactionId,
+          trackingId: payment.trackingId,
+          paymentInfo: payment,
+        });
+      }
+
+      // Webhook not in yet — tell the client whether it's worth polling
+      const session = await payments.checkout.sessions.retrieve(sessionId);
+
+      if (session.payment_status !== "paid") {
+        return res.status(400).json({ message: "Payment not completed" });
+      }
+
+      res.status(202).send({
+        success: false,
+        message: "Payment received, waiting for confirmation",
+        transactionId: session.payment_intent,
+      });
+    } catch (error) {
+      console.error("PAYMENT VERIFY ERROR:", error);
+      res.status(500).json({ message: "Payment verification failed" });
+    }
+  });
+
+  // ================= PAYMENT HISTORY API =================
+  // ?email=&paymentType=&currency=&from=&to=&page=&limit=&sort=-paidAt
+  app.get("/payments", verifyFirebaseToken, async (req, res) => {
+    try {
+      const { email } = req.query;
+      const listQuery = parseListQuery(req.query, PAYMENT_LIST);
+      const query = buildPaymentFilter(req.query);
+
+      // User wise payment history
+      if (email) {
+        // Security check: token email vs query email
+        if (email !== req.decodedEmail) {
+          return res.status(403).json({ message: "Forbidden access" });
+        }
+        query.customerEmail = email;
+      } else {
+        // only admins may list everybody's payments
+        const user = await usersCollection.findOne({
+          email: req.decodedEmail,
+        });
+        if (user?.role !== "admin") query.customerEmail = req.decodedEmail;
+      }
+
+      const [page, totals] = await Promise.all([
+        paginate(paymentCollection, query, listQuery),
+        // never add up different currencies
+        paymentCollection
+          .aggregate([
+            { $match: query },
+            {
+              $group: {
+                _id: "$currency",
+                amount: {
+                  $sum: {
+                    $cond: [{ $eq: ["$paymentType", "refund"] }, 0, "$amount"],
+                  },
+                },
+                refunded: { $sum: { $ifNull: ["$amountRefunded", 0] } },
+                count: { $sum: 1 },
+              },
+            },
+          ])
+          .toArray(),
+      ]);
+
+      res.send({
+        ...page,
+        totalsByCurrency: totals.map(({ _id, amount, refunded, count }) => ({
+          currency: _id || DEFAULT_CURRENCY,
+          amount: round2(amount),
+          refunded: round2(refunded),
+          count,
+        })),
+      });
+    } catch (error) {
+      sendHttpError(res, error, "Failed to load payments");
+    }
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,101 @@
+// ================= AUTH MIDDLEWARE =================
+// `auth` is anything shaped like firebase-admin's auth(): the real one in
+// production, adapters/fakeAuth.js when running offline.
+
+/**
+ * @param {object} options
+ * @param {object} options.auth  { verifyIdToken(token, checkRevoked) }
+ * @param {import("mongodb").Collection} options.usersCollection
+ * @param {() => Date} [options.clock]
+ */
+function createTokenVerifier({
+  auth,
+  usersCollection,
+  clock = () => new Date(),
+}) {
+  // ----------- SUSPENSION CHECK ----------
+  // Returns the user when they are currently suspended, else null.
+  // A suspension whose `suspendedUntil` has passed is lifted on the spot.
+  const checkSuspension = async (email) => {
+    const user = await usersCollection.findOne(
+      { email, suspended: true },
+      { projection: { suspendReason: 1, suspendedUntil: 1 } }
+    );
+    if (!user) return null;
+
+    if (user.suspendedUntil && new Date(user.suspendedUntil) <= clock()) {
+      await usersCollection.updateOne(
+        { _id: user._id, suspended: true },
+        { $set: { suspended: false, suspendReason: "", suspendedUntil: null } }
+      );
+      return null;
+    }
+
+    return user;
+  };
+
+  // ----------- VERIFY TOKEN ----------
+  return async (req, res, next) => {
+    const authorization = req.headers?.authorization;
+    if (!authorization)
+      return res.status(401).send({ message: "Unauthorized: Token Missing" });
+
+    const token = authorization.split(" ")[1];
+
+    try {
+      // checkRevoked: a suspension revokes sessions, so old tokens must fail too
+      const decoded = await auth.verifyIdToken(token, true);
+      req.decodedEmail = decoded.email;
+    } catch (error) {
+      console.log("TOKEN ERROR:", error);
+      if (error.code === "auth/id-token-revoked") {
+        return res
+          .status(401)
+          .send({ message: "Token revoked, please log in again" });
+      }
+      return res.status(401).send({ message: "Invalid Token" });
+    }
+
+    try {
+      const suspension = await checkSuspension(req.decodedEmail);
+      if (suspension) {
+        return res.status(403).send({
+          message: "Account suspended",
+          reason: suspension.suspendReason || "",
+          suspendedUntil: suspension.suspendedUntil || null,
+        });
+      }
+    } catch (error) {
+      console.log("SUSPENSION CHECK ERROR:", error);
+      return res.status(500).send({ message: "Authorization failed" });
+    }
+
+    next();
+  };
+}
+
+// ----------- ROLE VERIFY ----------
+// roleName: "admin" or a list like ["manager", "admin"]
+const verifyRole = (usersCollection, roleName) => {
+  const roles = [].concat(roleName);
+
+  return async (req, res, next) => {
+    try {
+      const email = req.decodedEmail;
+      const user = await usersCollection.findOne({ email });
+
+      if (roles.includes(user?.role)) {
+        req.currentUser = user;
+        return next();
+      }
+
+      return res
+        .status(403)
+        .send({ message: `Forbidden: ${roles.join(" or ")} only` });
+    } catch (err) {
+      return res.status(401).send({ message: "Authorization failed" });
+    }
+  };
+};
+
+module.exports = { createTokenVerifier, verifyRole };
@@ -0,0 +1,134 @@
+// ================= IDEMPOTENCY KEYS =================
+// Clients send `Idempotency-Key: <uuid>` on retries-prone POSTs. The first
+// response for a key is stored and replayed for repeats, so a double click
+// can't create two applications or two Stripe sessions.
+//
+// Must run after verifyFirebaseToken: keys are scoped per user and route.
+
+const crypto = require("crypto");
+
+const HEADER = "idempotency-key";
+
+// A request still "processing" after this long is assumed dead (crash,
+// timeout) and may be retried
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+// JSON with sorted keys so { a, b } and { b, a } hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const hashBody = (body) =>
+  crypto
+    .createHash("sha256")
+    .update(stableStringify(body ?? {}))
+    .digest("hex");
+
+/**
+ * @param {object} options
+ * @param {import("mongodb").Collection} options.collection
+ * @param {number} [options.ttlHours]  how long responses are kept for replay
+ * @param {() => Date} [options.clock]
+ */
+function createIdempotency({
+  collection,
+  ttlHours = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+  clock = () => new Date(),
+}) {
+  // Mongo's TTL monitor deletes records once expiresAt has passed
+  collection
+    .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+    .catch((err) => console.log("IDEMPOTENCY INDEX ERROR:", err));
+
+  return async (req, res, next) => {
+    const key = req.headers[HEADER];
+    if (!key) return next();
+
+    if (key.length > 255) {
+      return res
+        .status(400)
+        .json({ message: "Idempotency-Key must be at most 255 characters" });
+    }
+
+    const _id = `${req.decodedEmail}:${req.method}:${req.baseUrl}${req.path}:${key}`;
+    const requestHash = hashBody(req.body);
+    const now = clock();
+
+    try {
+      await collection.insertOne({
+        _id,
+        requestHash,
+        status: "processing",
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + ttlHours * 3600 * 1000),
+      });
+    } catch (err) {
+      if (err.code !== 11000) {
+        console.error("IDEMPOTENCY ERROR:", err);
+        return res.status(500).json({ message: "Request failed" });
+      }
+
+      const stored = await collection.findOne({ _id });
+      if (!stored) return res.status(409).json({ message: "Please retry" });
+
+      if (stored.requestHash !== requestHash) {
+        return res.status(422).json({
+          message: "Idempotency-Key was already used with a different payload",
+        });
+      }
+
+      if (stored.status === "processing") {
+        if (now - stored.createdAt > STALE_AFTER_MS) {
+          await collection.deleteOne({ _id, status: "processing" });
+          return res.status(409).json({
+            message: "Previous attempt did not finish, please retry",
+          });
+        }
+        return res.status(409).json({
+          message: "A request with this Idempotency-Key is still in progress",
+        });
+      }
+
+      res.setHeader("Idempotent-Replayed", "true");
+      return res.status(stored.statusCode).json(stored.body);
+    }
+
+    // capture what the route sends so it can be replayed later
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on("finish", () => {
+      // server errors are not remembered: the client may simply retry
+      const done =
+        res.statusCode >= 500
+          ? collection.deleteOne({ _id })
+          : collection.updateOne(
+              { _id },
+              {
+                $set: {
+                  status: "completed",
+                  statusCode: res.statusCode,
+                  body: responseBody ?? null,
+                  completedAt: clock(),
+                },
+              }
+            );
+      done.catch((err) => console.error("IDEMPOTENCY SAVE ERROR:", err));
+    });
+
+    next();
+  };
+}
+
+module.exports = { createIdempotency, stableStringify };
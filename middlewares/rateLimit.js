@@ -0,0 +1,130 @@
+// ================= RATE LIMIT =================
+// Fixed-window counters with per-route policies. Authenticated requests
+// are counted per Firebase email (run the limiter after
+// verifyFirebaseToken), anonymous ones per client IP.
+//
+// The store is pluggable: memory is fine for a single instance, while
+// every Vercel instance counting on its own needs the Mongo store.
+
+// ---------- stores ----------
+// A store exposes increment(key, windowMs, now) → { count, resetAt }, with
+// `now` and `resetAt` in epoch milliseconds
+
+function createMemoryStore() {
+  const hits = new Map();
+  let lastSweep = 0;
+
+  return {
+    async increment(key, windowMs, now) {
+      // drop finished windows now and then so the map can't grow forever
+      if (now - lastSweep > windowMs) {
+        for (const [k, entry] of hits) {
+          if (entry.resetAt <= now) hits.delete(k);
+        }
+        lastSweep = now;
+      }
+
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count++;
+      return entry;
+    },
+  };
+}
+
+// One document per key and window; a TTL index removes old windows
+function createMongoStore(collection) {
+  collection
+    .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+    .catch((err) => console.log("RATE LIMIT INDEX ERROR:", err));
+
+  return {
+    async increment(key, windowMs, now) {
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const resetAt = windowStart + windowMs;
+
+      const { count } = await collection.findOneAndUpdate(
+        { _id: `${key}:${windowStart}` },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+        { upsert: true, returnDocument: "after" }
+      );
+      return { count, resetAt };
+    },
+  };
+}
+
+// ---------- middleware ----------
+
+const defaultKey = (req) =>
+  req.decodedEmail ? `user:${req.decodedEmail}` : `ip:${req.ip}`;
+
+/**
+ * @param {object} options
+ * @param {string} [options.name]  policy name; keeps counters of different
+ *   routes apart when they share a store
+ * @param {number} [options.windowMs]
+ * @param {number} [options.max]  requests allowed per window
+ * @param {object} [options.store]  createMemoryStore() | createMongoStore()
+ * @param {(req) => string} [options.keyGenerator]
+ * @param {(req) => boolean} [options.skip]  true = don't count this request
+ * @param {() => Date} [options.clock]
+ */
+function createRateLimiter({
+  name = "default",
+  windowMs = 60 * 1000,
+  max = 30,
+  store = createMemoryStore(),
+  keyGenerator = defaultKey,
+  skip = () => false,
+  message = "Too many requests, please try again later",
+  clock = () => new Date(),
+} = {}) {
+  return async (req, res, next) => {
+    if (skip(req)) return next();
+
+    const now = clock().getTime();
+    let entry;
+    try {
+      entry = await store.increment(
+        `${name}:${keyGenerator(req)}`,
+        windowMs,
+        now
+      );
+    } catch (err) {
+      // a broken store shouldn't take the API down with it
+      console.error("RATE LIMIT STORE ERROR:", err);
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((entry.resetAt - now) / 1000), 0);
+
+    res.setHeader("RateLimit-Limit", max);
+    res.setHeader("RateLimit-Remaining", Math.max(max - entry.count, 0));
+    res.setHeader("RateLimit-Reset", resetSeconds);
+    res.setHeader("RateLimit-Policy", `${max};w=${Math.ceil(windowMs / 1000)}`);
+
+    if (entry.count > max) {
+      res.setHeader("Retry-After", resetSeconds);
+      return res.status(429).json({ message, retryAfter: resetSeconds });
+    }
+    next();
+  };
+}
+
+// RATE_LIMIT_STORE=mongo shares counters between instances
+function createRateLimitStoreFromEnv(db) {
+  if (process.env.RATE_LIMIT_STORE === "mongo") {
+    return createMongoStore(db.collection("rateLimits"));
+  }
+  return createMemoryStore();
+}
+
+module.exports = {
+  createRateLimiter,
+  createMemoryStore,
+  createMongoStore,
+  createRateLimitStoreFromEnv,
+};
@@ -0,0 +1,306 @@
+// Who may call what: every route, every role.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  USERS,
+  MISSING_ID,
+  PDF_BYTES,
+  startApp,
+  createLoan,
+  applyForLoan,
+} = require("./helpers");
+
+const ROLES = ["user", "manager", "admin"];
+
+// who gets past the route's auth middleware
+const ACCESS = {
+  signedIn: ROLES,
+  manager: ["manager"],
+  staff: ["manager", "admin"],
+  admin: ["admin"],
+  // routes whose :email is USERS.user's
+  ownerOrAdmin: ["user", "admin"],
+};
+
+const id = MISSING_ID;
+
+// empty JSON body on writes so handlers reading req.body don't trip
+const options = (method, extra = {}) =>
+  method === "GET" ? extra : { ...extra, body: {} };
+
+const PUBLIC_ROUTES = [
+  ["GET", "/"],
+  ["POST", "/users"],
+  ["GET", "/loans"],
+  ["GET", `/loans/${id}`],
+  ["GET", "/verify/UNKNOWN-REF"],
+  ["GET", "/track/LL-20260302-ABCDEF"],
+  ["PATCH", "/payment-success"],
+  ["POST", "/stripe/webhook"],
+];
+
+const PROTECTED_ROUTES = [
+  // users
+  ["GET", `/users/${USERS.user.email}`, "signedIn"],
+  ["GET", "/admin/users", "admin"],
+  ["PATCH", "/admin/users/role/nobody@loanlink.test", "admin"],
+
+  // loans
+  ["POST", "/loans", "manager"],
+  ["PATCH", `/loans/${id}`, "staff"],
+  ["DELETE", `/loans/${id}`, "staff"],
+  ["GET", `/loans/${id}/versions`, "staff"],
+  ["GET", `/loans/${id}/versions/diff`, "staff"],
+  ["GET", `/loans/${id}/versions/1`, "staff"],
+  ["GET", "/manager/loans", "manager"],
+  ["GET", "/admin/loans", "admin"],
+  ["PATCH", `/admin/loans/${id}`, "admin"],
+  ["DELETE", `/admin/loans/${id}`, "admin"],
+  ["PATCH", `/admin/loans/show-home/${id}`, "admin"],
+
+  // admin: applications, audit, archive, export, stats
+  ["GET", "/admin/applications", "admin"],
+  ["PATCH", `/admin/applications/status/${id}`, "admin"],
+  ["PATCH", `/admin/applications/assign/${id}`, "admin"],
+  ["GET", "/admin/audit-logs", "admin"],
+  ["GET", "/admin/archive/loans", "admin"],
+  ["PATCH", `/admin/archive/loans/${id}/restore`, "admin"],
+  ["GET", "/admin/export/users", "admin"],
+  ["GET", "/admin/stats", "admin"],
+  ["GET", "/admin/stats/applications", "admin"],
+  ["GET", "/admin/stats/approval-rates", "admin"],
+  ["GET", "/admin/stats/revenue", "admin"],
+  ["GET", "/admin/stats/decision-time", "admin"],
+  ["GET", "/admin/stats/top-loans", "admin"],
+  ["GET", "/admin/stats/user-growth", "admin"],
+
+  // applications
+  ["POST", "/applications", "signedIn"],
+  ["PATCH", `/applications/submit/${id}`, "signedIn"],
+  ["GET", `/applications/user/${USERS.user.email}`, "ownerOrAdmin"],
+  ["GET", "/applications/approved", "staff"],
+  ["GET", "/applications/pending", "manager"],
+  ["GET", "/applications/my-queue", "manager"],
+  ["POST", `/applications/${id}/score`, "staff"],
+  ["PATCH", `/applications/claim/${id}`, "manager"],
+  ["PATCH", `/applications/release/${id}`, "manager"],
+  ["PATCH", `/applications/review/${id}`, "manager"],
+  ["PATCH", `/applications/approve/${id}`, "manager"],
+  ["PATCH", `/applications/reject/${id}`, "manager"],
+  ["DELETE", `/applications/cancel/${id}`, "signedIn"],
+  ["DELETE", `/applications/${id}`, "signedIn"],
+  ["GET", `/applications/${id}`, "signedIn"],
+  ["GET", `/applications/${id}/schedule`, "signedIn"],
+  ["GET", `/applications/${id}/approval-letter`, "signedIn"],
+  ["POST", `/applications/${id}/refund`, "staff"],
+
+  // documents
+  ["POST", `/applications/${id}/documents`, "signedIn"],
+  ["GET", `/applications/${id}/documents`, "signedIn"],
+  ["GET", `/applications/${id}/documents/${id}`, "signedIn"],
+  ["DELETE", `/applications/${id}/documents/${id}`, "signedIn"],
+
+  // notifications
+  ["GET", "/notifications", "signedIn"],
+  ["PATCH", "/notifications/read-all", "signedIn"],
+  ["PATCH", `/notifications/${id}/read`, "signedIn"],
+
+  // payments
+  ["POST", "/payment-checkout-system", "signedIn"],
+  ["POST", "/repayment-checkout", "signedIn"],
+  ["GET", "/payments", "signedIn"],
+  ["GET", `/payments/${id}/receipt`, "signedIn"],
+];
+
+test("route access", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  for (const [method, url] of PUBLIC_ROUTES) {
+    await t.test(`${method} ${url} is public`, async () => {
+      const res = await ctx.request(method, url, options(method));
+      assert.ok(![401, 403].includes(res.status), `got ${res.status}`);
+      assert.ok(res.status < 500, `got ${res.status}`);
+    });
+  }
+
+  for (const [method, url, access] of PROTECTED_ROUTES) {
+    await t.test(`${method} ${url} (${access})`, async () => {
+      const anonymous = await ctx.request(method, url, options(method));
+      assert.equal(anonymous.status, 401);
+
+      const badToken = await ctx.request(
+        method,
+        url,
+        options(method, { token: "not-a-token" })
+      );
+      assert.equal(badToken.status, 401);
+
+      for (const role of ROLES) {
+        const res = await ctx.request(
+          method,
+          url,
+          options(method, { as: role })
+        );
+        if (ACCESS[access].includes(role)) {
+          assert.ok(![401, 403].includes(res.status), `${role}: ${res.status}`);
+          assert.ok(res.status < 500, `${role}: ${res.status}`);
+        } else {
+          assert.equal(res.status, 403, role);
+        }
+      }
+    });
+  }
+});
+
+test("application data is limited to owner, assigned manager and admin", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const loanId = await createLoan(ctx);
+  const applicationId = await applyForLoan(ctx, loanId);
+  await ctx.request("PATCH", `/admin/applications/assign/${applicationId}`, {
+    as: "admin",
+    body: { managerEmail: USERS.manager.email },
+  });
+
+  const readers = [
+    ["user", 200],
+    ["manager", 200],
+    ["admin", 200],
+    ["otherUser", 403],
+    ["otherManager", 403],
+  ];
+  for (const url of [
+    `/applications/${applicationId}`,
+    `/applications/${applicationId}/documents`,
+  ]) {
+    for (const [as, status] of readers) {
+      const res = await ctx.request("GET", url, { as });
+      assert.equal(res.status, status, `${as} GET ${url}`);
+    }
+  }
+
+  // only the borrower may change it
+  const owned = [
+    ["PATCH", `/applications/submit/${applicationId}`],
+    ["DELETE", `/applications/cancel/${applicationId}`],
+    ["DELETE", `/applications/${applicationId}`],
+  ];
+  for (const [method, url] of owned) {
+    const res = await ctx.request(method, url, { as: "otherUser" });
+    assert.equal(res.status, 403, `${method} ${url}`);
+  }
+
+  // managers act only on what is assigned to them
+  const review = await ctx.request(
+    "PATCH",
+    `/applications/review/${applicationId}`,
+    { as: "otherManager" }
+  );
+  assert.equal(review.status, 403);
+
+  // a borrower can't list someone else's applications or payments
+  const applications = await ctx.request(
+    "GET",
+    `/applications/user/${USERS.user.email}`,
+    { as: "otherUser" }
+  );
+  assert.equal(applications.status, 403);
+  const payments = await ctx.request(
+    "GET",
+    `/payments?email=${USERS.user.email}`,
+    { as: "otherUser" }
+  );
+  assert.equal(payments.status, 403);
+});
+
+test("suspension locks the user out and revokes earlier tokens", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const token = ctx.auth.issueToken(USERS.user.email);
+  ctx.advance(1000);
+
+  const suspend = await ctx.request(
+    "PATCH",
+    `/admin/users/role/${USERS.user.email}`,
+    {
+      as: "admin",
+      body: {
+        suspend: true,
+        suspendReason: "Fraud check",
+        suspendedUntil: new Date(ctx.clock().getTime() + 3600000),
+      },
+    }
+  );
+  assert.equal(suspend.status, 200);
+
+  const revoked = await ctx.request("GET", "/notifications", { token });
+  assert.equal(revoked.status, 401);
+
+  ctx.advance(1000);
+  const suspended = await ctx.request("GET", "/notifications", { as: "user" });
+  assert.equal(suspended.status, 403);
+  assert.equal(suspended.body.reason, "Fraud check");
+
+  // lifts by itself once suspendedUntil has passed
+  ctx.advance(3600000);
+  const lifted = await ctx.request("GET", "/notifications", { as: "user" });
+  assert.equal(lifted.status, 200);
+});
+
+test("document storage keys never leave the server", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const uploadId = async (applicationId, as) => {
+    const form = new FormData();
+    form.append("type", "national_id");
+    form.append("file", new Blob([PDF_BYTES], { type: "application/pdf" }));
+    const res = await ctx.request(
+      "POST",
+      `/applications/${applicationId}/documents`,
+      { as, body: form }
+    );
+    assert.equal(res.status, 201);
+  };
+
+  const assertNoStorageKey = async (url, as) => {
+    const res = await ctx.request("GET", url, { as });
+    assert.equal(res.status, 200, `${as} GET ${url}`);
+    assert.match(JSON.stringify(res.body), /national_id/, url);
+    assert.doesNotMatch(JSON.stringify(res.body), /storageKey/, url);
+  };
+
+  const loanId = await createLoan(ctx);
+  const applicationId = await applyForLoan(ctx, loanId);
+  await ctx.request("PATCH", `/admin/applications/assign/${applicationId}`, {
+    as: "admin",
+    body: { managerEmail: USERS.manager.email },
+  });
+  await uploadId(applicationId, "user");
+
+  await assertNoStorageKey(`/applications/${applicationId}`, "user");
+  await assertNoStorageKey(`/applications/${applicationId}/documents`, "user");
+  await assertNoStorageKey(`/applications/user/${USERS.user.email}`, "user");
+  await assertNoStorageKey("/applications/pending", "manager");
+  await assertNoStorageKey("/applications/my-queue", "manager");
+  await assertNoStorageKey("/admin/applications", "admin");
+
+  await ctx.request("PATCH", `/applications/approve/${applicationId}`, {
+    as: "manager",
+    body: {},
+  });
+  await assertNoStorageKey("/applications/approved", "manager");
+
+  const archivedId = await applyForLoan(ctx, loanId, {}, "otherUser");
+  await uploadId(archivedId, "otherUser");
+  await ctx.request("DELETE", `/applications/cancel/${archivedId}`, {
+    as: "otherUser",
+  });
+  await ctx.request("DELETE", `/applications/${archivedId}`, {
+    as: "otherUser",
+  });
+  await assertNoStorageKey("/admin/archive/applications", "admin");
+});
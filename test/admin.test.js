@@ -0,0 +1,220 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  USERS,
+  startApp,
+  createLoan,
+  applyForLoan,
+  approvedApplication,
+  payCheckout,
+} = require("./helpers");
+
+test("registration and user management", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  await t.test("register once", async () => {
+    const body = { name: "New Borrower", email: "new@loanlink.test" };
+    const created = await ctx.request("POST", "/users", { body });
+    assert.equal(created.status, 201);
+    const again = await ctx.request("POST", "/users", { body });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.message, "User already exists");
+
+    const missing = await ctx.request("POST", "/users", { body: {} });
+    assert.equal(missing.status, 400);
+
+    const user = await ctx.request("GET", "/users/new@loanlink.test", {
+      as: "new@loanlink.test",
+    });
+    assert.equal(user.body.role, "user");
+  });
+
+  await t.test("list with filters", async () => {
+    const managers = await ctx.request("GET", "/admin/users?role=manager", {
+      as: "admin",
+    });
+    assert.equal(managers.body.total, 2);
+
+    const search = await ctx.request("GET", "/admin/users?search=borrower", {
+      as: "admin",
+    });
+    assert.equal(search.body.total, 3);
+
+    const sorted = await ctx.request("GET", "/admin/users?sort=email&limit=1", {
+      as: "admin",
+    });
+    assert.equal(sorted.body.data[0].email, USERS.admin.email);
+  });
+
+  await t.test("role changes are validated and audited", async () => {
+    const url = `/admin/users/role/${USERS.otherUser.email}`;
+    const invalid = await ctx.request("PATCH", url, {
+      as: "admin",
+      body: { role: "owner", suspend: true, suspendedUntil: "2020-01-01" },
+    });
+    assert.equal(invalid.status, 422);
+    assert.deepEqual(
+      invalid.body.errors.map((error) => error.field),
+      ["role", "suspendedUntil"]
+    );
+
+    const promote = await ctx.request("PATCH", url, {
+      as: "admin",
+      body: { role: "manager" },
+    });
+    assert.equal(promote.body.modifiedCount, 1);
+
+    const logs = await ctx.request(
+      "GET",
+      "/admin/audit-logs?action=user.role_update",
+      { as: "admin" }
+    );
+    assert.equal(logs.body.total, 1);
+    assert.equal(logs.body.data[0].actorEmail, USERS.admin.email);
+    assert.deepEqual(logs.body.data[0].changes.role, {
+      from: "user",
+      to: "manager",
+    });
+  });
+});
+
+test("admin loan management", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const loanId = await createLoan(ctx);
+  await createLoan(ctx, { title: "Farm Loan", category: "Agriculture" });
+
+  const search = await ctx.request("GET", "/admin/loans?q=farm", {
+    as: "admin",
+  });
+  assert.equal(search.body.length, 1);
+
+  const toggle = await ctx.request(
+    "PATCH",
+    `/admin/loans/show-home/${loanId}`,
+    { as: "admin", body: { showOnHome: true } }
+  );
+  assert.equal(toggle.status, 200);
+  const loan = await ctx.request("GET", `/loans/${loanId}`);
+  assert.equal(loan.body.showOnHome, true);
+
+  const invalid = await ctx.request("PATCH", `/admin/loans/${loanId}`, {
+    as: "admin",
+    body: {},
+  });
+  assert.equal(invalid.status, 422);
+});
+
+test("exports", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const loanId = await createLoan(ctx);
+  await applyForLoan(ctx, loanId);
+
+  const csv = await ctx.request(
+    "GET",
+    "/admin/export/applications?format=csv&category=Business&status=pending",
+    { as: "admin" }
+  );
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-disposition"), /applications-.*\.csv/);
+  const lines = csv.body.trim().split(/\r?\n/);
+  assert.equal(lines.length, 2);
+
+  const xlsx = await ctx.request("GET", "/admin/export/payments?format=xlsx", {
+    as: "admin",
+  });
+  assert.equal(xlsx.status, 200);
+  // xlsx is a zip archive
+  assert.equal(xlsx.buffer.subarray(0, 2).toString(), "PK");
+
+  const badFormat = await ctx.request("GET", "/admin/export/users?format=pdf", {
+    as: "admin",
+  });
+  assert.equal(badFormat.status, 400);
+  const unknown = await ctx.request("GET", "/admin/export/loans", {
+    as: "admin",
+  });
+  assert.equal(unknown.status, 404);
+
+  // the audit entry keeps the query as it was asked
+  const logs = await ctx.request(
+    "GET",
+    "/admin/audit-logs?action=data.export",
+    {
+      as: "admin",
+    }
+  );
+  const applicationsExport = logs.body.data.find(
+    (entry) => entry.targetType === "applications"
+  );
+  assert.deepEqual(JSON.parse(applicationsExport.changes.query.to), {
+    format: "csv",
+    category: "Business",
+    status: "pending",
+  });
+});
+
+test("analytics", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const { applicationId } = await approvedApplication(ctx);
+  const loanId = await createLoan(ctx, { title: "Other Loan" });
+  const rejectedId = await applyForLoan(ctx, loanId, {}, "otherUser");
+  await ctx.request("PATCH", `/admin/applications/status/${rejectedId}`, {
+    as: "admin",
+    body: { status: "Rejected", reason: "Incomplete" },
+  });
+
+  const checkout = await ctx.request("POST", "/payment-checkout-system", {
+    as: "user",
+    body: { loanId: applicationId, loanTitle: "Fee", loanAmount: 10 },
+  });
+  await payCheckout(ctx, checkout.body.url);
+
+  const get = async (url) => {
+    const res = await ctx.request("GET", url, { as: "admin" });
+    assert.equal(res.status, 200, url);
+    return res.body;
+  };
+
+  const stats = await get("/admin/stats");
+  assert.equal(stats.applications.total, 2);
+  assert.equal(stats.applications.Approved, 1);
+  assert.equal(stats.approvalRate, 0.5);
+  assert.deepEqual(stats.users, { admin: 1, manager: 2, user: 2 });
+  assert.deepEqual(stats.feeRevenue, { usd: 10 });
+
+  const overTime = await get("/admin/stats/applications?interval=month");
+  assert.deepEqual(overTime.series, [
+    { period: "2026-03", total: 2, counts: { Approved: 1, Rejected: 1 } },
+  ]);
+
+  const rates = await get("/admin/stats/approval-rates");
+  assert.equal(rates.data[0].category, "Business");
+  assert.equal(rates.data[0].approvalRate, 0.5);
+
+  const revenue = await get("/admin/stats/revenue");
+  assert.equal(revenue.series[0].net, 10);
+
+  const decision = await get("/admin/stats/decision-time");
+  assert.equal(decision.decided, 2);
+  assert.equal(decision.avgHours, 0);
+
+  const top = await get("/admin/stats/top-loans?limit=1");
+  assert.equal(top.data.length, 1);
+
+  const growth = await get("/admin/stats/user-growth");
+  assert.equal(growth.series[0].total, 5);
+
+  const badInterval = await ctx.request(
+    "GET",
+    "/admin/stats/applications?interval=week",
+    { as: "admin" }
+  );
+  assert.equal(badInterval.status, 400);
+});
@@ -0,0 +1,478 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  USERS,
+  APPLICATION,
+  PDF_BYTES,
+  startApp,
+  createLoan,
+  applyForLoan,
+  findApplication,
+  approvedApplication,
+} = require("./helpers");
+
+const assignTo = (ctx, applicationId, managerEmail) =>
+  ctx.request("PATCH", `/admin/applications/assign/${applicationId}`, {
+    as: "admin",
+    body: { managerEmail },
+  });
+
+test("applying", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const loanId = await createLoan(ctx);
+
+  await t.test("validates against the product's limits", async () => {
+    const res = await ctx.request("POST", "/applications", {
+      as: "user",
+      body: { ...APPLICATION, loanId, loanAmount: 9000, tenureMonths: 7 },
+    });
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body.errors.map((error) => error.field).sort(), [
+      "loanAmount",
+      "tenureMonths",
+    ]);
+  });
+
+  let applicationId;
+  await t.test("stores the terms, scores and assigns it", async () => {
+    applicationId = await applyForLoan(ctx, loanId);
+    const application = await findApplication(ctx, applicationId);
+
+    assert.equal(application.status, "Pending");
+    assert.equal(application.applicationFeeStatus, "Unpaid");
+    assert.equal(application.userEmail, USERS.user.email);
+    assert.equal(application.interestRate, 12);
+    assert.equal(application.currency, "usd");
+    assert.equal(typeof application.risk.score, "number");
+    // least workload, ties by email ("manager2@" sorts before "manager@")
+    assert.equal(application.assignedManager, USERS.otherManager.email);
+  });
+
+  await t.test("one open application per product", async () => {
+    const res = await ctx.request("POST", "/applications", {
+      as: "user",
+      body: { ...APPLICATION, loanId },
+    });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.applicationId, applicationId);
+  });
+
+  await t.test("the next one goes to the less busy manager", async () => {
+    const otherId = await applyForLoan(ctx, loanId, {}, "otherUser");
+    const other = await findApplication(ctx, otherId);
+    assert.equal(other.assignedManager, USERS.manager.email);
+  });
+
+  await t.test("a repeated Idempotency-Key replays the response", async () => {
+    const secondLoanId = await createLoan(ctx, { title: "Second Loan" });
+    const send = () =>
+      ctx.request("POST", "/applications", {
+        as: "user",
+        headers: { "Idempotency-Key": "apply-once" },
+        body: { ...APPLICATION, loanId: secondLoanId },
+      });
+
+    const first = await send();
+    const retry = await send();
+    assert.equal(first.status, 200);
+    assert.equal(retry.status, 200);
+    assert.deepEqual(retry.body, first.body);
+
+    const mine = await ctx.request(
+      "GET",
+      `/applications/user/${USERS.user.email}`,
+      { as: "user" }
+    );
+    assert.equal(mine.body.length, 2);
+  });
+
+  await t.test("borrower is notified", async () => {
+    const res = await ctx.request("GET", "/notifications", { as: "user" });
+    assert.equal(res.body.unreadCount, 2);
+    assert.ok(res.body.data.every((n) => n.event === "application_submitted"));
+
+    const one = await ctx.request(
+      "PATCH",
+      `/notifications/${res.body.data[0]._id}/read`,
+      { as: "user" }
+    );
+    assert.equal(one.status, 200);
+    const foreign = await ctx.request(
+      "PATCH",
+      `/notifications/${res.body.data[1]._id}/read`,
+      { as: "otherUser" }
+    );
+    assert.equal(foreign.status, 404);
+
+    await ctx.request("PATCH", "/notifications/read-all", { as: "user" });
+    const after = await ctx.request("GET", "/notifications?unread=true", {
+      as: "user",
+    });
+    assert.equal(after.body.unreadCount, 0);
+    assert.equal(after.body.total, 0);
+  });
+});
+
+test("drafts and documents", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const loanId = await createLoan(ctx, {
+    requiredDocuments: ["national_id"],
+  });
+
+  const direct = await ctx.request("POST", "/applications", {
+    as: "user",
+    body: { ...APPLICATION, loanId },
+  });
+  assert.equal(direct.status, 422);
+  assert.equal(direct.body.errors[0].field, "draft");
+
+  const applicationId = await applyForLoan(ctx, loanId, { draft: true });
+  const url = `/applications/${applicationId}/documents`;
+
+  const early = await ctx.request(
+    "PATCH",
+    `/applications/submit/${applicationId}`,
+    {
+      as: "user",
+    }
+  );
+  assert.equal(early.status, 422);
+
+  const upload = (type, bytes, mimeType = "application/pdf") => {
+    const form = new FormData();
+    form.append("type", type);
+    form.append("file", new Blob([bytes], { type: mimeType }), "id-card.pdf");
+    return ctx.request("POST", url, { as: "user", body: form });
+  };
+
+  const fake = await upload("national_id", Buffer.from("MZ not a pdf"));
+  assert.equal(fake.status, 422);
+
+  const uploaded = await upload("national_id", PDF_BYTES);
+  assert.equal(uploaded.status, 201);
+  assert.equal(uploaded.body.storageKey, undefined);
+
+  const list = await ctx.request("GET", url, { as: "user" });
+  assert.deepEqual(list.body.missing, []);
+  assert.equal(list.body.documents.length, 1);
+
+  const download = await ctx.request("GET", `${url}/${uploaded.body._id}`, {
+    as: "admin",
+  });
+  assert.equal(download.status, 200);
+  assert.equal(download.headers.get("content-type"), "application/pdf");
+  assert.deepEqual(download.buffer, PDF_BYTES);
+
+  const application = await ctx.request(
+    "GET",
+    `/applications/${applicationId}`,
+    { as: "user" }
+  );
+  assert.equal(application.body.documents[0].storageKey, undefined);
+
+  const submit = await ctx.request(
+    "PATCH",
+    `/applications/submit/${applicationId}`,
+    { as: "user" }
+  );
+  assert.equal(submit.status, 200);
+  assert.equal((await findApplication(ctx, applicationId)).status, "Pending");
+
+  // still editable while Pending, frozen once review starts
+  const extra = await upload("income_proof", PDF_BYTES);
+  const removed = await ctx.request("DELETE", `${url}/${extra.body._id}`, {
+    as: "user",
+  });
+  assert.equal(removed.status, 200);
+
+  await assignTo(ctx, applicationId, USERS.manager.email);
+  const review = await ctx.request(
+    "PATCH",
+    `/applications/review/${applicationId}`,
+    { as: "manager" }
+  );
+  assert.equal(review.status, 200);
+  const late = await upload("bank_statement", PDF_BYTES);
+  assert.equal(late.status, 409);
+});
+
+test("manager queue and decisions", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const loanId = await createLoan(ctx);
+  const applicationId = await applyForLoan(ctx, loanId);
+  await assignTo(ctx, applicationId, null);
+
+  await t.test("claiming and releasing", async () => {
+    const pending = await ctx.request(
+      "GET",
+      "/applications/pending?assignedManager=none",
+      { as: "manager" }
+    );
+    assert.equal(pending.body.total, 1);
+
+    const unclaimed = await ctx.request(
+      "PATCH",
+      `/applications/approve/${applicationId}`,
+      { as: "manager", body: {} }
+    );
+    assert.equal(unclaimed.status, 403);
+
+    const claim = await ctx.request(
+      "PATCH",
+      `/applications/claim/${applicationId}`,
+      { as: "manager" }
+    );
+    assert.equal(claim.status, 200);
+    const again = await ctx.request(
+      "PATCH",
+      `/applications/claim/${applicationId}`,
+      { as: "otherManager" }
+    );
+    assert.equal(again.status, 409);
+
+    const notMine = await ctx.request(
+      "PATCH",
+      `/applications/release/${applicationId}`,
+      { as: "otherManager" }
+    );
+    assert.equal(notMine.status, 403);
+
+    const queue = await ctx.request("GET", "/applications/my-queue", {
+      as: "manager",
+    });
+    assert.equal(queue.body.total, 1);
+  });
+
+  await t.test("review then approve with validated amount", async () => {
+    const review = await ctx.request(
+      "PATCH",
+      `/applications/review/${applicationId}`,
+      { as: "manager", body: { reason: "Checking income" } }
+    );
+    assert.equal(review.status, 200);
+
+    for (const approvedAmount of [5000, -10, 0, true, "abc"]) {
+      const res = await ctx.request(
+        "PATCH",
+        `/applications/approve/${applicationId}`,
+        { as: "manager", body: { approvedAmount } }
+      );
+      assert.equal(res.status, 422, `approvedAmount ${approvedAmount}`);
+      assert.equal(res.body.errors[0].field, "approvedAmount");
+    }
+
+    const approve = await ctx.request(
+      "PATCH",
+      `/applications/approve/${applicationId}`,
+      { as: "manager", body: { approvedAmount: 1000 } }
+    );
+    assert.equal(approve.status, 200);
+
+    const application = await findApplication(ctx, applicationId);
+    assert.equal(application.status, "Approved");
+    assert.equal(application.approvedAmount, 1000);
+    // approving is not paying the fee
+    assert.equal(application.applicationFeeStatus, "Unpaid");
+    assert.deepEqual(
+      application.statusHistory.map((entry) => entry.to),
+      ["Pending", "Under Review", "Approved"]
+    );
+  });
+
+  await t.test("schedule follows the approved amount", async () => {
+    const res = await ctx.request(
+      "GET",
+      `/applications/${applicationId}/schedule`,
+      { as: "user" }
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.principal, 1000);
+    assert.equal(res.body.tenureMonths, 6);
+    assert.equal(res.body.currency, "usd");
+    assert.equal(res.body.installments.length, 6);
+    assert.equal(res.body.generatedAt, ctx.clock().toISOString());
+
+    const other = await ctx.request(
+      "GET",
+      `/applications/${applicationId}/schedule`,
+      { as: "otherManager" }
+    );
+    assert.equal(other.status, 403);
+  });
+
+  await t.test("approval letter verifies publicly", async () => {
+    const letter = await ctx.request(
+      "GET",
+      `/applications/${applicationId}/approval-letter`,
+      { as: "user" }
+    );
+    assert.equal(letter.status, 200);
+    assert.equal(letter.headers.get("content-type"), "application/pdf");
+    assert.equal(letter.buffer.subarray(0, 4).toString(), "%PDF");
+
+    const { approvalLetterRef } = await findApplication(ctx, applicationId);
+    const verify = await ctx.request("GET", `/verify/${approvalLetterRef}`);
+    assert.equal(verify.body.valid, true);
+    assert.equal(verify.body.type, "approval_letter");
+    assert.equal(verify.body.amount, 1000);
+
+    const unknown = await ctx.request("GET", "/verify/NOPE");
+    assert.equal(unknown.status, 404);
+  });
+
+  await t.test("approved list and rescoring", async () => {
+    const approved = await ctx.request("GET", "/applications/approved", {
+      as: "manager",
+    });
+    assert.equal(approved.body.length, 1);
+
+    const score = await ctx.request(
+      "POST",
+      `/applications/${applicationId}/score`,
+      { as: "admin" }
+    );
+    assert.equal(score.status, 200);
+    assert.ok(["Low", "Medium", "High", "Very High"].includes(score.body.band));
+
+    const logs = await ctx.request(
+      "GET",
+      "/admin/audit-logs?action=application.rescore",
+      { as: "admin" }
+    );
+    assert.equal(logs.body.total, 1);
+    assert.equal(logs.body.data[0].targetId, applicationId);
+    assert.equal(logs.body.data[0].actorEmail, USERS.admin.email);
+  });
+});
+
+test("rejecting, cancelling and deleting", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const loanId = await createLoan(ctx);
+  const rejectedId = await applyForLoan(ctx, loanId);
+  await assignTo(ctx, rejectedId, USERS.manager.email);
+
+  const reject = await ctx.request(
+    "PATCH",
+    `/applications/reject/${rejectedId}`,
+    { as: "manager", body: { reason: "Income too low" } }
+  );
+  assert.equal(reject.status, 200);
+
+  const letter = await ctx.request(
+    "GET",
+    `/applications/${rejectedId}/approval-letter`,
+    { as: "user" }
+  );
+  assert.equal(letter.status, 409);
+
+  // final statuses can't move on
+  const approve = await ctx.request(
+    "PATCH",
+    `/applications/approve/${rejectedId}`,
+    { as: "manager", body: {} }
+  );
+  assert.equal(approve.status, 409);
+
+  const cancelledId = await applyForLoan(ctx, loanId);
+  const live = await ctx.request("DELETE", `/applications/${cancelledId}`, {
+    as: "user",
+  });
+  assert.equal(live.status, 409);
+
+  const cancel = await ctx.request(
+    "DELETE",
+    `/applications/cancel/${cancelledId}`,
+    { as: "user", body: { reason: "Changed my mind" } }
+  );
+  assert.equal(cancel.status, 200);
+
+  const remove = await ctx.request("DELETE", `/applications/${cancelledId}`, {
+    as: "user",
+  });
+  assert.equal(remove.status, 200);
+  const gone = await ctx.request("GET", `/applications/${cancelledId}`, {
+    as: "user",
+  });
+  assert.equal(gone.status, 404);
+
+  const archive = await ctx.request("GET", "/admin/archive/applications", {
+    as: "admin",
+  });
+  assert.equal(archive.body.total, 1);
+  const restore = await ctx.request(
+    "PATCH",
+    `/admin/archive/applications/${cancelledId}/restore`,
+    { as: "admin" }
+  );
+  assert.equal(restore.status, 200);
+
+  const events = (
+    await ctx.request("GET", "/notifications", { as: "user" })
+  ).body.data.map((n) => n.event);
+  assert.ok(events.includes("application_rejected"));
+  assert.ok(events.includes("application_cancelled"));
+});
+
+test("admin moves applications through the lifecycle", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const { applicationId } = await approvedApplication(ctx);
+  const url = `/admin/applications/status/${applicationId}`;
+
+  const invalid = await ctx.request("PATCH", url, {
+    as: "admin",
+    body: { status: "Closed" },
+  });
+  assert.equal(invalid.status, 409);
+  assert.deepEqual(invalid.body.allowed, ["Disbursed", "Cancelled"]);
+
+  for (const status of ["Disbursed", "Closed"]) {
+    const res = await ctx.request("PATCH", url, {
+      as: "admin",
+      body: { status },
+    });
+    assert.equal(res.status, 200, status);
+  }
+
+  const application = await findApplication(ctx, applicationId);
+  assert.equal(application.status, "Closed");
+  assert.ok(application.disbursedAt);
+  assert.ok(application.closedAt);
+
+  const listed = await ctx.request("GET", "/admin/applications?status=closed", {
+    as: "admin",
+  });
+  assert.equal(listed.body.total, 1);
+  const unknown = await ctx.request("GET", "/admin/applications?status=nope", {
+    as: "admin",
+  });
+  assert.equal(unknown.status, 400);
+});
+
+test("a risk config that can't band every score is ignored", async (t) => {
+  process.env.RISK_SCORING_CONFIG = JSON.stringify({
+    bands: [{ min: 50, band: "Medium" }],
+  });
+  const ctx = await startApp();
+  t.after(ctx.close);
+  delete process.env.RISK_SCORING_CONFIG;
+
+  // next to no income keeps the score well under 50
+  const loanId = await createLoan(ctx);
+  const applicationId = await applyForLoan(ctx, loanId, {
+    monthlyIncome: 1,
+    loanAmount: 5000,
+  });
+  const { risk } = await findApplication(ctx, applicationId);
+  assert.ok(risk.score < 50, `score ${risk.score}`);
+  assert.ok(["Low", "Medium", "High", "Very High"].includes(risk.band));
+});
@@ -0,0 +1,284 @@
+// ================= TEST HARNESS =================
+// Boots the real app on a random port with every outside service swapped
+// for its offline adapter: in-memory db, fake Firebase tokens, fake Stripe
+// (events are posted to /stripe/webhook like Stripe would) and uploads in
+// a temp dir. The clock only moves when a test says so.
+//
+// TEST_DB=mongodb swaps the in-memory db for a real mongod from
+// mongodb-memory-server, so unique indexes and concurrent upserts behave
+// exactly as in production (`npm run test:mongodb`).
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MongoClient, ObjectId } = require("mongodb");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "loanlink-test-"));
+process.on("exit", () => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// notifications go to a file instead of the console
+process.env.NOTIFY_TRANSPORT = "file";
+process.env.NOTIFY_FILE = path.join(tmpDir, "notifications.log");
+process.env.SITE_DOMAIN = "http://localhost:5173";
+
+const { createApp } = require("../app");
+const { createMemoryDb } = require("../adapters/memoryDb");
+const { createFakeAuth } = require("../adapters/fakeAuth");
+const { createFakeStripe, FAKE_SIGNATURE } = require("../adapters/fakeStripe");
+const { createLocalStorage } = require("../utils/storage");
+
+const USERS = {
+  admin: { name: "Test Admin", email: "admin@loanlink.test", role: "admin" },
+  manager: {
+    name: "Test Manager",
+    email: "manager@loanlink.test",
+    role: "manager",
+  },
+  otherManager: {
+    name: "Other Manager",
+    email: "manager2@loanlink.test",
+    role: "manager",
+  },
+  user: { name: "Test Borrower", email: "user@loanlink.test", role: "user" },
+  otherUser: {
+    name: "Other Borrower",
+    email: "user2@loanlink.test",
+    role: "user",
+  },
+};
+
+// A valid id nothing points at
+const MISSING_ID = "0000000000000000000000ff";
+
+const LOAN = {
+  title: "Small Business Loan",
+  description: "Working capital for small shops",
+  category: "Business",
+  interestRate: 12,
+  currency: "usd",
+  interestMethod: "reducing",
+  minAmount: 100,
+  maxAmount: 5000,
+  tenureOptions: [6, 12],
+};
+
+const APPLICATION = {
+  loanAmount: 1200,
+  tenureMonths: 6,
+  firstName: "Test",
+  lastName: "Borrower",
+  contactNumber: "+8801700000000",
+  nationalId: "1234567890",
+  incomeSource: "Salary",
+  monthlyIncome: 900,
+  reason: "Stock for the shop",
+  address: "12 Test Road, Dhaka",
+};
+
+// smallest bytes that pass the PDF signature check
+const PDF_BYTES = Buffer.from("%PDF-1.4\n%test\n");
+
+// A fresh, empty database per app, plus how to tear it down
+async function createTestDb() {
+  if (process.env.TEST_DB !== "mongodb") {
+    return { db: createMemoryDb(), close: async () => {} };
+  }
+
+  // only loaded when asked for: the first run downloads a mongod binary
+  const { MongoMemoryServer } = require("mongodb-memory-server");
+  const mongod = await MongoMemoryServer.create();
+  const client = await MongoClient.connect(mongod.getUri());
+  return {
+    db: client.db("LoanLink"),
+    close: async () => {
+      await client.close();
+      await mongod.stop();
+    },
+  };
+}
+
+async function startApp({ now = "2026-03-02T09:00:00.000Z" } = {}) {
+  let current = new Date(now);
+  const clock = () => new Date(current);
+
+  const { db, close: closeDb } = await createTestDb();
+  await db.collection("users").insertMany(
+    Object.values(USERS).map((user) => ({
+      ...user,
+      photoURL: "",
+      suspended: false,
+      createdAt: clock(),
+    }))
+  );
+
+  let baseUrl;
+  const webhookResponses = [];
+  const postEvent = async (event) => {
+    const res = await fetch(`${baseUrl}/stripe/webhook`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Stripe-Signature": FAKE_SIGNATURE,
+      },
+      body: JSON.stringify(event),
+    });
+    webhookResponses.push({
+      event,
+      status: res.status,
+      body: await res.json(),
+    });
+    return res;
+  };
+
+  // Stripe events are delivered as they happen unless a test holds them
+  let heldEvents = null;
+  const onEvent = (event) =>
+    heldEvents ? heldEvents.push(event) : postEvent(event);
+
+  const auth = createFakeAuth({ clock });
+  const payments = createFakeStripe({ onEvent });
+  const uploadDir = fs.mkdtempSync(path.join(tmpDir, "uploads-"));
+
+  const app = createApp({
+    db,
+    auth,
+    payments,
+    clock,
+    storage: createLocalStorage({ root: uploadDir }),
+  });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * @param {string} method
+   * @param {string} url
+   * @param {object} [options]
+   * @param {string} [options.as]     key of USERS, or an email
+   * @param {string} [options.token]  raw bearer token instead of `as`
+   * @param {object|FormData} [options.body]
+   * @param {object} [options.headers]
+   * @returns {Promise<{ status, headers, body, buffer }>}
+   */
+  const request = async (method, url, { as, token, body, headers } = {}) => {
+    const email = USERS[as]?.email || as;
+    const requestHeaders = { ...headers };
+    if (token || email) {
+      requestHeaders.Authorization = `Bearer ${token || `fake:${email}`}`;
+    }
+
+    let payload = body;
+    if (body !== undefined && !(body instanceof FormData)) {
+      requestHeaders["Content-Type"] = "application/json";
+      payload = JSON.stringify(body);
+    }
+
+    const res = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: requestHeaders,
+      body: payload,
+    });
+    const buffer = Buffer.from(await res.arrayBuffer());
+    const type = res.headers.get("content-type") || "";
+    return {
+      status: res.status,
+      headers: res.headers,
+      buffer,
+      body: type.includes("application/json")
+        ? JSON.parse(buffer.toString("utf8"))
+        : buffer.toString("utf8"),
+    };
+  };
+
+  return {
+    db,
+    auth,
+    payments,
+    request,
+    postEvent,
+    webhookResponses,
+    // queues events instead of posting them; the returned function stops
+    // holding and hands back what was queued
+    holdEvents() {
+      heldEvents = [];
+      return () => {
+        const events = heldEvents;
+        heldEvents = null;
+        return events;
+      };
+    },
+    clock,
+    advance(ms) {
+      current = new Date(current.getTime() + ms);
+    },
+    close: async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await closeDb();
+    },
+  };
+}
+
+// ---------- flows shared by several test files ----------
+
+async function createLoan(ctx, overrides = {}, as = "manager") {
+  const res = await ctx.request("POST", "/loans", {
+    as,
+    body: { ...LOAN, ...overrides },
+  });
+  if (res.status !== 200) throw new Error(`createLoan: ${res.status}`);
+  return res.body.insertedId;
+}
+
+async function applyForLoan(ctx, loanId, overrides = {}, as = "user") {
+  const res = await ctx.request("POST", "/applications", {
+    as,
+    body: { ...APPLICATION, loanId, ...overrides },
+  });
+  if (res.status !== 200) {
+    throw new Error(`applyForLoan: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+  return res.body.insertedId;
+}
+
+const findApplication = (ctx, id) =>
+  ctx.db.collection("applications").findOne({ _id: new ObjectId(id) });
+
+// Applies as `user`, assigns the application to `manager` and approves it
+async function approvedApplication(ctx, { loan = {}, application = {} } = {}) {
+  const loanId = await createLoan(ctx, loan);
+  const applicationId = await applyForLoan(ctx, loanId, application);
+  await ctx.request("PATCH", `/admin/applications/assign/${applicationId}`, {
+    as: "admin",
+    body: { managerEmail: USERS.manager.email },
+  });
+  const approve = await ctx.request(
+    "PATCH",
+    `/applications/approve/${applicationId}`,
+    { as: "manager", body: {} }
+  );
+  if (approve.status !== 200) throw new Error(`approve: ${approve.status}`);
+  return { loanId, applicationId };
+}
+
+// Pays a checkout session in the fake Stripe; the webhook has been
+// handled by the time this resolves
+async function payCheckout(ctx, checkoutUrl) {
+  const sessionId = new URL(checkoutUrl).searchParams.get("session_id");
+  const session = await ctx.payments.completeSession(sessionId);
+  return { sessionId, session };
+}
+
+module.exports = {
+  USERS,
+  MISSING_ID,
+  LOAN,
+  APPLICATION,
+  PDF_BYTES,
+  startApp,
+  createLoan,
+  applyForLoan,
+  findApplication,
+  approvedApplication,
+  payCheckout,
+};
@@ -0,0 +1,198 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { LOAN, startApp, createLoan, applyForLoan } = require("./helpers");
+
+test("loan catalogue", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  await createLoan(ctx, { title: "Home Loan", category: "Housing" });
+  ctx.advance(1000);
+  await createLoan(ctx, { title: "Car Loan", category: "Vehicle" });
+  ctx.advance(1000);
+  await createLoan(ctx, { title: "Shop Loan", maxAmount: 800 });
+
+  await t.test("lists newest first with the page envelope", async () => {
+    const res = await ctx.request("GET", "/loans?limit=2");
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.map((loan) => loan.title),
+      ["Shop Loan", "Car Loan"]
+    );
+    assert.equal(res.body.total, 3);
+    assert.equal(res.body.totalPages, 2);
+    assert.equal(res.body.hasNextPage, true);
+
+    const next = await ctx.request(
+      "GET",
+      `/loans?limit=2&cursor=${res.body.nextCursor}`
+    );
+    assert.deepEqual(
+      next.body.data.map((loan) => loan.title),
+      ["Home Loan"]
+    );
+  });
+
+  await t.test("filters by search, category and amount", async () => {
+    const search = await ctx.request("GET", "/loans?search=car");
+    assert.deepEqual(
+      search.body.data.map((loan) => loan.title),
+      ["Car Loan"]
+    );
+
+    const category = await ctx.request("GET", "/loans?category=Housing");
+    assert.equal(category.body.total, 1);
+
+    const amount = await ctx.request("GET", "/loans?minAmount=1000");
+    assert.equal(amount.body.total, 2);
+  });
+
+  await t.test("rejects unknown sort fields", async () => {
+    const res = await ctx.request("GET", "/loans?sort=secret");
+    assert.equal(res.status, 400);
+  });
+
+  await t.test("validates new products", async () => {
+    const res = await ctx.request("POST", "/loans", {
+      as: "manager",
+      body: { ...LOAN, minAmount: 900, maxAmount: 100, currency: "xyz" },
+    });
+    assert.equal(res.status, 422);
+    const fields = res.body.errors.map((error) => error.field).sort();
+    assert.deepEqual(fields, ["currency", "maxAmount"]);
+  });
+});
+
+test("loan edits are versioned and owned", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const loanId = await createLoan(ctx);
+
+  await t.test("only the creating manager or an admin can edit", async () => {
+    const res = await ctx.request("PATCH", `/loans/${loanId}`, {
+      as: "otherManager",
+      body: { interestRate: 9 },
+    });
+    assert.equal(res.status, 403);
+  });
+
+  await t.test("a term change creates the next version", async () => {
+    const res = await ctx.request("PATCH", `/loans/${loanId}`, {
+      as: "manager",
+      body: { interestRate: 10 },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.version, 2);
+
+    // presentation-only changes keep the version
+    const home = await ctx.request("PATCH", `/admin/loans/${loanId}`, {
+      as: "admin",
+      body: { showOnHome: true },
+    });
+    assert.equal(home.body.version, 2);
+  });
+
+  await t.test("history, single version and diff", async () => {
+    const list = await ctx.request("GET", `/loans/${loanId}/versions`, {
+      as: "manager",
+    });
+    assert.equal(list.body.currentVersion, 2);
+    assert.deepEqual(
+      list.body.data.map((version) => version.version),
+      [2, 1]
+    );
+
+    const first = await ctx.request("GET", `/loans/${loanId}/versions/1`, {
+      as: "admin",
+    });
+    assert.equal(first.body.terms.interestRate, 12);
+
+    const diff = await ctx.request("GET", `/loans/${loanId}/versions/diff`, {
+      as: "manager",
+    });
+    assert.deepEqual(diff.body.changes, {
+      interestRate: { from: 12, to: 10 },
+    });
+
+    const missing = await ctx.request(
+      "GET",
+      `/loans/${loanId}/versions/diff?from=1&to=7`,
+      { as: "manager" }
+    );
+    assert.equal(missing.status, 404);
+  });
+
+  await t.test("applications record the version they applied to", async () => {
+    const applicationId = await applyForLoan(ctx, loanId);
+    const res = await ctx.request("GET", `/applications/${applicationId}`, {
+      as: "user",
+    });
+    assert.equal(res.body.loanVersion, 2);
+    assert.equal(res.body.interestRate, 10);
+  });
+});
+
+test("archiving and restoring loans", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const busyLoanId = await createLoan(ctx);
+  const idleLoanId = await createLoan(ctx, { title: "Idle Loan" });
+  await applyForLoan(ctx, busyLoanId);
+
+  const busy = await ctx.request("DELETE", `/loans/${busyLoanId}`, {
+    as: "manager",
+  });
+  assert.equal(busy.status, 409);
+  assert.equal(busy.body.activeApplications, 1);
+
+  const archived = await ctx.request("DELETE", `/admin/loans/${idleLoanId}`, {
+    as: "admin",
+  });
+  assert.equal(archived.status, 200);
+
+  const catalogue = await ctx.request("GET", "/loans");
+  assert.deepEqual(
+    catalogue.body.data.map((loan) => String(loan._id)),
+    [busyLoanId]
+  );
+
+  const archive = await ctx.request("GET", "/admin/archive/loans", {
+    as: "admin",
+  });
+  assert.equal(archive.body.total, 1);
+  assert.equal(archive.body.data[0].deletedBy, "admin@loanlink.test");
+
+  const restore = await ctx.request(
+    "PATCH",
+    `/admin/archive/loans/${idleLoanId}/restore`,
+    { as: "admin" }
+  );
+  assert.equal(restore.status, 200);
+  assert.equal((await ctx.request("GET", "/loans")).body.total, 2);
+
+  const unknown = await ctx.request("GET", "/admin/archive/users", {
+    as: "admin",
+  });
+  assert.equal(unknown.status, 404);
+});
+
+test("manager dashboard counts applications per product", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const loanId = await createLoan(ctx);
+  await createLoan(ctx, { title: "Other Product" }, "otherManager");
+  await applyForLoan(ctx, loanId);
+  await applyForLoan(ctx, loanId, { draft: true }, "otherUser");
+
+  const res = await ctx.request("GET", "/manager/loans", { as: "manager" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 1);
+  assert.deepEqual(res.body.data[0].applicationCounts, {
+    total: 2,
+    Pending: 1,
+    Draft: 1,
+  });
+});
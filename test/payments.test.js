@@ -0,0 +1,490 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  USERS,
+  startApp,
+  createLoan,
+  applyForLoan,
+  findApplication,
+  approvedApplication,
+  payCheckout,
+} = require("./helpers");
+
+const feeCheckout = (ctx, applicationId, loanAmount = 10) =>
+  ctx.request("POST", "/payment-checkout-system", {
+    as: "user",
+    body: {
+      loanId: applicationId,
+      loanTitle: "Small Business Loan",
+      loanAmount,
+      userEmail: USERS.user.email,
+    },
+  });
+
+const repaymentCheckout = (ctx, body, as = "user") =>
+  ctx.request("POST", "/repayment-checkout", { as, body });
+
+// The second event Stripe sends for the same payment
+const intentSucceeded = (session) => ({
+  id: `evt_intent_${session.payment_intent}`,
+  type: "payment_intent.succeeded",
+  data: {
+    object: {
+      id: session.payment_intent,
+      amount_received: session.amount_total,
+      currency: session.currency,
+      receipt_email: session.customer_email,
+      metadata: session.metadata,
+    },
+  },
+});
+
+test("application fee", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const loanId = await createLoan(ctx);
+  const applicationId = await applyForLoan(ctx, loanId);
+
+  const checkout = await feeCheckout(ctx, applicationId);
+  assert.equal(checkout.status, 200);
+  const sessionId = new URL(checkout.body.url).searchParams.get("session_id");
+
+  await t.test("redirect before payment is not a success", async () => {
+    const res = await ctx.request(
+      "PATCH",
+      `/payment-success?session_id=${sessionId}`
+    );
+    assert.equal(res.status, 400);
+  });
+
+  let payment;
+  await t.test("webhook records the payment once", async () => {
+    const { session } = await payCheckout(ctx, checkout.body.url);
+    assert.equal(session.amount_total, 1000);
+    assert.equal(ctx.webhookResponses.at(-1).status, 200);
+
+    // Stripe retries and the intent event must not add a second payment
+    await ctx.postEvent(intentSucceeded(session));
+    const payments = await ctx.db
+      .collection("payments")
+      .find({ applicationId })
+      .toArray();
+    assert.equal(payments.length, 1);
+    payment = payments[0];
+
+    const application = await findApplication(ctx, applicationId);
+    assert.equal(application.applicationFeeStatus, "Paid");
+    assert.equal(application.trackingId, payment.trackingId);
+  });
+
+  await t.test("redirect reads what the webhook stored", async () => {
+    const res = await ctx.request(
+      "PATCH",
+      `/payment-success?session_id=${sessionId}`
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.trackingId, payment.trackingId);
+  });
+
+  await t.test("tracking is public and shows no personal data", async () => {
+    const res = await ctx.request("GET", `/track/${payment.trackingId}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "Pending");
+    assert.equal(res.body.paymentStatus, "Paid");
+    assert.equal(res.body.userEmail, undefined);
+
+    const invalid = await ctx.request("GET", "/track/nope");
+    assert.equal(invalid.status, 400);
+  });
+
+  await t.test("receipt for the payer and admins only", async () => {
+    const url = `/payments/${payment._id}/receipt`;
+    const mine = await ctx.request("GET", url, { as: "user" });
+    assert.equal(mine.status, 200);
+    assert.equal(mine.buffer.subarray(0, 4).toString(), "%PDF");
+    assert.equal((await ctx.request("GET", url, { as: "admin" })).status, 200);
+    assert.equal(
+      (await ctx.request("GET", url, { as: "otherUser" })).status,
+      403
+    );
+
+    const stored = await ctx.db
+      .collection("payments")
+      .findOne({ _id: payment._id });
+    const verify = await ctx.request(
+      "GET",
+      `/verify/${stored.verificationRef}`
+    );
+    assert.equal(verify.body.type, "payment_receipt");
+    assert.equal(verify.body.amount, 10);
+  });
+
+  await t.test("payment history and totals", async () => {
+    const mine = await ctx.request("GET", "/payments", { as: "user" });
+    assert.equal(mine.body.total, 1);
+    assert.deepEqual(mine.body.totalsByCurrency, [
+      { currency: "usd", amount: 10, refunded: 0, count: 1 },
+    ]);
+
+    const others = await ctx.request("GET", "/payments", { as: "otherUser" });
+    assert.equal(others.body.total, 0);
+  });
+
+  await t.test("unsigned and repeated events", async () => {
+    const res = await ctx.request("POST", "/stripe/webhook", {
+      body: { id: "evt_forged", type: "checkout.session.completed" },
+      headers: { "Stripe-Signature": "forged" },
+    });
+    assert.equal(res.status, 400);
+
+    const event = { id: "evt_twice", type: "customer.created", data: {} };
+    await ctx.postEvent(event);
+    await ctx.postEvent(event);
+    assert.deepEqual(ctx.webhookResponses.at(-1).body, {
+      received: true,
+      duplicate: true,
+    });
+  });
+});
+
+// Makes the next updateOne on `name` that `matches` reject, like a dropped
+// connection would. Patches the prototype so it works for any db adapter.
+function failNextUpdate(ctx, name, matches) {
+  const proto = Object.getPrototypeOf(ctx.db.collection(name));
+  const original = proto.updateOne;
+  proto.updateOne = function (filter, update, ...rest) {
+    if (this.collectionName === name && matches(update)) {
+      proto.updateOne = original;
+      return Promise.reject(new Error("connection reset"));
+    }
+    return original.call(this, filter, update, ...rest);
+  };
+}
+
+const feeNotifications = (ctx) =>
+  ctx.db
+    .collection("notifications")
+    .countDocuments({ event: "payment_succeeded" });
+
+test("fee payments survive retries and racing events", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const loanId = await createLoan(ctx);
+
+  await t.test("a retry finishes a half-recorded payment", async () => {
+    const applicationId = await applyForLoan(ctx, loanId);
+    const checkout = await feeCheckout(ctx, applicationId);
+
+    failNextUpdate(
+      ctx,
+      "applications",
+      (update) => update.$set?.applicationFeeStatus === "Paid"
+    );
+    await payCheckout(ctx, checkout.body.url);
+    const failed = ctx.webhookResponses.at(-1);
+    assert.equal(failed.status, 500);
+
+    await ctx.postEvent(failed.event);
+    assert.equal(ctx.webhookResponses.at(-1).status, 200);
+
+    const application = await findApplication(ctx, applicationId);
+    assert.equal(application.applicationFeeStatus, "Paid");
+    assert.equal(
+      await ctx.db.collection("payments").countDocuments({ applicationId }),
+      1
+    );
+    assert.equal(await feeNotifications(ctx), 1);
+  });
+
+  await t.test("both events at once record one payment", async () => {
+    const applicationId = await applyForLoan(ctx, loanId, {}, "otherUser");
+    const checkout = await feeCheckout(ctx, applicationId);
+
+    const release = ctx.holdEvents();
+    const { session } = await payCheckout(ctx, checkout.body.url);
+    const [completed] = release();
+    await Promise.all([
+      ctx.postEvent(completed),
+      ctx.postEvent(intentSucceeded(session)),
+    ]);
+
+    const payments = await ctx.db
+      .collection("payments")
+      .find({ applicationId })
+      .toArray();
+    assert.equal(payments.length, 1);
+    assert.equal(await feeNotifications(ctx), 2);
+
+    // the index is what stops the second insert on a real server
+    await assert.rejects(
+      ctx.db
+        .collection("payments")
+        .insertOne({ transactionId: session.payment_intent }),
+      { code: 11000 }
+    );
+  });
+});
+
+test("fee is charged in the loan's currency", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const loanId = await createLoan(ctx, {
+    currency: "jpy",
+    minAmount: 10000,
+    maxAmount: 500000,
+  });
+  const applicationId = await applyForLoan(ctx, loanId, {
+    loanAmount: 120000,
+  });
+
+  const checkout = await feeCheckout(ctx, applicationId, 1500);
+  const sessionId = new URL(checkout.body.url).searchParams.get("session_id");
+  const session = await ctx.payments.checkout.sessions.retrieve(sessionId);
+  assert.equal(session.currency, "jpy");
+  assert.equal(session.amount_total, 1500);
+
+  // refunds round to whole yen too, so what is stored is what Stripe moved
+  await payCheckout(ctx, checkout.body.url);
+  await ctx.request("DELETE", `/applications/cancel/${applicationId}`, {
+    as: "user",
+  });
+  const refund = await ctx.request(
+    "POST",
+    `/applications/${applicationId}/refund`,
+    { as: "admin", body: { amount: 100.5 } }
+  );
+  assert.equal(refund.status, 200);
+  assert.equal(refund.body.amount, 101);
+  assert.equal(refund.body.amountRefunded, 101);
+});
+
+test("refunds", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const loanId = await createLoan(ctx);
+  const applicationId = await applyForLoan(ctx, loanId);
+  const url = `/applications/${applicationId}/refund`;
+
+  const checkout = await feeCheckout(ctx, applicationId);
+  const { session } = await payCheckout(ctx, checkout.body.url);
+
+  const tooEarly = await ctx.request("POST", url, { as: "admin", body: {} });
+  assert.equal(tooEarly.status, 409);
+
+  await ctx.request("DELETE", `/applications/cancel/${applicationId}`, {
+    as: "user",
+  });
+
+  const tooMuch = await ctx.request("POST", url, {
+    as: "admin",
+    body: { amount: 50 },
+  });
+  assert.equal(tooMuch.status, 400);
+
+  // a refund Stripe turns down gives its reservation back
+  const create = ctx.payments.refunds.create;
+  ctx.payments.refunds.create = async () => {
+    ctx.payments.refunds.create = create;
+    throw Object.assign(new Error("Charge already disputed"), {
+      type: "StripeInvalidRequestError",
+    });
+  };
+  const declined = await ctx.request("POST", url, { as: "admin", body: {} });
+  assert.equal(declined.status, 400);
+  const payment = await ctx.db
+    .collection("payments")
+    .findOne({ transactionId: session.payment_intent });
+  assert.ok(!payment.amountRefunded);
+
+  const partialRequest = () =>
+    ctx.request("POST", url, {
+      as: "manager",
+      headers: { "Idempotency-Key": "refund-once" },
+      body: { amount: 4, reason: "Processing cost kept" },
+    });
+  const partial = await partialRequest();
+  assert.equal(partial.status, 200);
+  assert.equal(partial.body.applicationFeeStatus, "Partially Refunded");
+  const doubleClick = await partialRequest();
+  assert.equal(doubleClick.headers.get("idempotent-replayed"), "true");
+  assert.equal(doubleClick.body.refundId, partial.body.refundId);
+
+  // two staff refunding the rest at once: only one goes through
+  const results = await Promise.all([
+    ctx.request("POST", url, { as: "admin", body: {} }),
+    ctx.request("POST", url, { as: "manager", body: {} }),
+  ]);
+  const rest = results.find((res) => res.status === 200);
+  assert.equal(results.filter((res) => res.status === 200).length, 1);
+  assert.equal(rest.body.amount, 6);
+  assert.equal(rest.body.applicationFeeStatus, "Refunded");
+
+  const application = await findApplication(ctx, applicationId);
+  assert.equal(application.applicationFeeStatus, "Refunded");
+
+  const history = await ctx.request("GET", "/payments", { as: "user" });
+  assert.equal(history.body.total, 3);
+  assert.deepEqual(history.body.totalsByCurrency, [
+    { currency: "usd", amount: 10, refunded: 10, count: 3 },
+  ]);
+
+  // a refund made in the Stripe dashboard arrives as charge.refunded
+  await ctx.postEvent({
+    id: "evt_dashboard_refund",
+    type: "charge.refunded",
+    data: {
+      object: {
+        payment_intent: session.payment_intent,
+        amount_refunded: 1000,
+        currency: "usd",
+        refunded: true,
+      },
+    },
+  });
+  assert.equal(ctx.webhookResponses.at(-1).status, 200);
+});
+
+test("repayments", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const { applicationId } = await approvedApplication(ctx);
+  const schedule = (await findApplication(ctx, applicationId))
+    .repaymentSchedule;
+
+  await t.test("only the borrower of an approved loan", async () => {
+    const foreign = await repaymentCheckout(
+      ctx,
+      { applicationId, type: "installment", installmentNumber: 1 },
+      "otherUser"
+    );
+    assert.equal(foreign.status, 403);
+
+    const badType = await repaymentCheckout(ctx, { applicationId, type: "x" });
+    assert.equal(badType.status, 400);
+
+    const tooMuch = await repaymentCheckout(ctx, {
+      applicationId,
+      type: "partial",
+      amount: schedule.outstandingBalance + 1,
+    });
+    assert.equal(tooMuch.status, 400);
+  });
+
+  await t.test(
+    "one payment is allocated once, whichever event comes",
+    async () => {
+      const checkout = await repaymentCheckout(ctx, {
+        applicationId,
+        type: "installment",
+        installmentNumber: 1,
+      });
+      assert.equal(checkout.status, 200);
+      assert.equal(checkout.body.amount, schedule.installments[0].amount);
+
+      const { session } = await payCheckout(ctx, checkout.body.url);
+
+      // the intent event lands while the first one has updated the
+      // schedule but not yet flagged the payment as allocated
+      await ctx.db
+        .collection("payments")
+        .updateOne(
+          { transactionId: session.payment_intent },
+          { $set: { allocated: false } }
+        );
+      await ctx.postEvent(intentSucceeded(session));
+      assert.equal(ctx.webhookResponses.at(-1).status, 200);
+
+      const { repaymentSchedule } = await findApplication(ctx, applicationId);
+      assert.equal(repaymentSchedule.totalPaid, checkout.body.amount);
+      assert.equal(repaymentSchedule.installments[0].status, "Paid");
+      assert.equal(repaymentSchedule.installments[1].paidAmount, 0);
+
+      const paid = await repaymentCheckout(ctx, {
+        applicationId,
+        type: "installment",
+        installmentNumber: 1,
+      });
+      assert.equal(paid.status, 409);
+    }
+  );
+
+  await t.test("prepayment clears the loan from the end", async () => {
+    const { repaymentSchedule } = await findApplication(ctx, applicationId);
+    const checkout = await repaymentCheckout(ctx, {
+      applicationId,
+      type: "prepayment",
+      amount: repaymentSchedule.outstandingBalance,
+    });
+    await payCheckout(ctx, checkout.body.url);
+
+    const application = await findApplication(ctx, applicationId);
+    assert.equal(application.repaymentSchedule.outstandingBalance, 0);
+    assert.equal(application.repaymentStatus, "Completed");
+    assert.ok(
+      application.repaymentSchedule.installments.every(
+        (row) => row.status === "Paid"
+      )
+    );
+
+    const done = await repaymentCheckout(ctx, {
+      applicationId,
+      type: "partial",
+      amount: 1,
+    });
+    assert.equal(done.status, 409);
+  });
+});
+
+test("zero-decimal schedules are charged in whole units", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const { applicationId } = await approvedApplication(ctx, {
+    loan: { currency: "jpy", minAmount: 10000, maxAmount: 500000 },
+    application: { loanAmount: 100000, tenureMonths: 12 },
+  });
+  const { repaymentSchedule } = await findApplication(ctx, applicationId);
+  assert.equal(repaymentSchedule.currency, "jpy");
+  assert.ok(
+    repaymentSchedule.installments.every((row) => Number.isInteger(row.amount))
+  );
+
+  for (const row of repaymentSchedule.installments) {
+    const checkout = await repaymentCheckout(ctx, {
+      applicationId,
+      type: "installment",
+      installmentNumber: row.number,
+    });
+    assert.equal(checkout.status, 200, `installment ${row.number}`);
+    const { session } = await payCheckout(ctx, checkout.body.url);
+    assert.equal(session.amount_total, row.amount);
+    // keep under the checkout rate limit
+    ctx.advance(10 * 1000);
+  }
+
+  const application = await findApplication(ctx, applicationId);
+  assert.equal(application.repaymentSchedule.outstandingBalance, 0);
+  assert.equal(application.repaymentStatus, "Completed");
+});
+
+test("checkout is rate limited per window", async (t) => {
+  const ctx = await startApp();
+  t.after(ctx.close);
+
+  const send = () =>
+    ctx.request("POST", "/repayment-checkout", {
+      as: "user",
+      body: { type: "partial", applicationId: "nope" },
+    });
+
+  for (let i = 0; i < 10; i++) assert.equal((await send()).status, 400);
+  assert.equal((await send()).status, 429);
+
+  ctx.advance(60 * 1000);
+  assert.equal((await send()).status, 400);
+});
@@ -0,0 +1,163 @@
+// ================= ANALYTICS PIPELINES =================
+// Builders for the aggregation pipelines behind /admin/stats/*. They only
+// describe the query; routes run them against the right collection.
+
+const INTERVAL_FORMATS = { day: "%Y-%m-%d", month: "%Y-%m" };
+
+const periodOf = (field, interval) => ({
+  $dateToString: {
+    format: INTERVAL_FORMATS[interval] || INTERVAL_FORMATS.day,
+    date: `$${field}`,
+  },
+});
+
+const matchRange = (field, range) =>
+  range ? [{ $match: { [field]: range } }] : [];
+
+// Applications per status per day/month
+const applicationsOverTime = (range, interval) => [
+  ...matchRange("appliedAt", range),
+  {
+    $group: {
+      _id: { period: periodOf("appliedAt", interval), status: "$status" },
+      count: { $sum: 1 },
+    },
+  },
+  { $sort: { "_id.period": 1 } },
+];
+
+// Approved vs rejected per category or per assigned manager
+const approvalRates = (range, groupBy) => [
+  ...matchRange("appliedAt", range),
+  {
+    $group: {
+      _id: groupBy === "manager" ? "$assignedManager" : "$category",
+      approved: {
+        $sum: {
+          $cond: [
+            {
+              $in: [
+                { $toLower: "$status" },
+                ["approved", "disbursed", "closed"],
+              ],
+            },
+            1,
+            0,
+          ],
+        },
+      },
+      rejected: {
+        $sum: { $cond: [{ $eq: [{ $toLower: "$status" }, "rejected"] }, 1, 0] },
+      },
+      total: { $sum: 1 },
+    },
+  },
+  {
+    $addFields: {
+      approvalRate: {
+        $cond: [
+          { $gt: [{ $add: ["$approved", "$rejected"] }, 0] },
+          { $divide: ["$approved", { $add: ["$approved", "$rejected"] }] },
+          null,
+        ],
+      },
+    },
+  },
+  { $sort: { total: -1 } },
+];
+
+// Application fee revenue (net of refunds) per period and currency
+const feeRevenue = (range, interval) => [
+  {
+    $match: {
+      paymentType: { $in: ["application_fee", null] },
+      ...(range ? { paidAt: range } : {}),
+    },
+  },
+  {
+    $group: {
+      _id: { period: periodOf("paidAt", interval), currency: "$currency" },
+      gross: { $sum: "$amount" },
+      refunded: { $sum: { $ifNull: ["$amountRefunded", 0] } },
+      payments: { $sum: 1 },
+    },
+  },
+  { $addFields: { net: { $subtract: ["$gross", "$refunded"] } } },
+  { $sort: { "_id.period": 1 } },
+];
+
+// Average hours from applying to approval/rejection, per category
+const decisionTime = (range) => [
+  ...matchRange("appliedAt", range),
+  {
+    $addFields: {
+      decidedAt: { $ifNull: ["$approvedAt", "$rejectedAt"] },
+    },
+  },
+  { $match: { decidedAt: { $ne: null }, appliedAt: { $ne: null } } },
+  {
+    $group: {
+      _id: "$category",
+      avgHours: {
+        $avg: {
+          $divide: [{ $subtract: ["$decidedAt", "$appliedAt"] }, 3600000],
+        },
+      },
+      decided: { $sum: 1 },
+    },
+  },
+  { $sort: { decided: -1 } },
+];
+
+// Most applied-for loan products
+const topLoans = (range, limit) => [
+  ...matchRange("appliedAt", range),
+  {
+    $group: {
+      _id: "$loanId",
+      loanTitle: { $first: "$loanTitle" },
+      category: { $first: "$category" },
+      applications: { $sum: 1 },
+      requestedTotal: { $sum: "$loanAmount" },
+    },
+  },
+  { $sort: { applications: -1 } },
+  { $limit: limit },
+];
+
+// New users per period and role
+const userGrowth = (range, interval) => [
+  ...matchRange("createdAt", range),
+  {
+    $group: {
+      _id: { period: periodOf("createdAt", interval), role: "$role" },
+      count: { $sum: 1 },
+    },
+  },
+  { $sort: { "_id.period": 1 } },
+];
+
+// [{ _id: { period, <key> }, count }] → [{ period, total, <key>s: { value: count } }]
+function pivotByPeriod(rows, key, normalize = (value) => value) {
+  const periods = new Map();
+  for (const row of rows) {
+    const { period } = row._id;
+    const entry = periods.get(period) || { period, total: 0, counts: {} };
+    const name = normalize(row._id[key]) || "unknown";
+    entry.counts[name] = (entry.counts[name] || 0) + row.count;
+    entry.total += row.count;
+    periods.set(period, entry);
+  }
+  return [...periods.values()];
+}
+
+module.exports = {
+  INTERVAL_FORMATS,
+  applicationsOverTime,
+  approvalRates,
+  feeRevenue,
+  decisionTime,
+  topLoans,
+  userGrowth,
+  pivotByPeriod,
+};
@@ -0,0 +1,90 @@
+// ================= LOAN APPLICATION SCHEMA =================
+const { validate } = require("./validate");
+
+// Only what the borrower types in. Identity, status and loan terms are
+// filled in by the server.
+const applicationSchema = {
+  loanId: { type: "string", required: true, pattern: /^[a-f\d]{24}$/i },
+  loanAmount: { type: "number", required: true, min: 1 },
+  tenureMonths: { type: "integer", min: 1, max: 360 },
+  firstName: { type: "string", required: true, min: 1, max: 60 },
+  lastName: { type: "string", required: true, min: 1, max: 60 },
+  contactNumber: {
+    type: "string",
+    required: true,
+    pattern: /^\+?[\d\s-]{7,20}$/,
+  },
+  nationalId: { type: "string", required: true, min: 5, max: 30 },
+  incomeSource: { type: "string", required: true, min: 2, max: 100 },
+  monthlyIncome: { type: "number", required: true, min: 0 },
+  reason: { type: "string", required: true, min: 3, max: 1000 },
+  address: { type: "string", required: true, min: 5, max: 300 },
+  extraNotes: { type: "string", max: 2000 },
+  draft: { type: "boolean", default: false },
+};
+
+// The client form pre-fills these from the loan/user; the server derives
+// them itself, so they are dropped instead of rejected.
+const SERVER_DERIVED_FIELDS = [
+  "userEmail",
+  "userName",
+  "loanTitle",
+  "category",
+  "interestRate",
+];
+
+/**
+ * Validate a new application against the schema and, once the loan is
+ * known, against the product's limits.
+ *
+ * @param {object} input  req.body
+ * @param {object|null} loan  product referenced by input.loanId
+ */
+function validateApplication(input, loan) {
+  const body = { ...(input || {}) };
+  SERVER_DERIVED_FIELDS.forEach((field) => delete body[field]);
+
+  const { value, errors } = validate(applicationSchema, body);
+  if (errors.some((error) => error.field === "loanId")) {
+    return { value, errors };
+  }
+
+  if (!loan) {
+    errors.push({ field: "loanId", message: "loan product not found" });
+    return { value, errors };
+  }
+
+  // legacy products only have maxLoanLimit
+  const minAmount = loan.minAmount ?? 1;
+  const maxAmount = loan.maxAmount ?? loan.maxLoanLimit;
+  if (typeof value.loanAmount === "number") {
+    if (value.loanAmount < minAmount) {
+      errors.push({
+        field: "loanAmount",
+        message: `must be at least ${minAmount}`,
+      });
+    }
+    if (maxAmount !== undefined && value.loanAmount > Number(maxAmount)) {
+      errors.push({
+        field: "loanAmount",
+        message: `must be at most ${maxAmount}`,
+      });
+    }
+  }
+
+  const tenureOptions = loan.tenureOptions || [];
+  if (tenureOptions.length) {
+    if (value.tenureMonths === undefined) {
+      errors.push({ field: "tenureMonths", message: "is required" });
+    } else if (!tenureOptions.includes(value.tenureMonths)) {
+      errors.push({
+        field: "tenureMonths",
+        message: `must be one of: ${tenureOptions.join(", ")}`,
+      });
+    }
+  }
+
+  return { value, errors };
+}
+
+module.exports = { applicationSchema, validateApplication };
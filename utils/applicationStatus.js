@@ -0,0 +1,89 @@
+// ================= APPLICATION STATUS LIFECYCLE =================
+// Single source of truth for which status can follow which. Every route
+// that changes an application's status goes through `assertTransition`.
+
+const STATUS = {
+  DRAFT: "Draft",
+  PENDING: "Pending",
+  UNDER_REVIEW: "Under Review",
+  APPROVED: "Approved",
+  REJECTED: "Rejected",
+  DISBURSED: "Disbursed",
+  CLOSED: "Closed",
+  CANCELLED: "Cancelled",
+};
+
+const TRANSITIONS = {
+  [STATUS.DRAFT]: [STATUS.PENDING, STATUS.CANCELLED],
+  // managers may decide straight from Pending without a review step
+  [STATUS.PENDING]: [
+    STATUS.UNDER_REVIEW,
+    STATUS.APPROVED,
+    STATUS.REJECTED,
+    STATUS.CANCELLED,
+  ],
+  [STATUS.UNDER_REVIEW]: [
+    STATUS.PENDING,
+    STATUS.APPROVED,
+    STATUS.REJECTED,
+    STATUS.CANCELLED,
+  ],
+  [STATUS.APPROVED]: [STATUS.DISBURSED, STATUS.CANCELLED],
+  [STATUS.REJECTED]: [],
+  [STATUS.DISBURSED]: [STATUS.CLOSED],
+  [STATUS.CLOSED]: [],
+  [STATUS.CANCELLED]: [],
+};
+
+// Statuses an application can still move on from; anything else is final
+const ACTIVE_STATUSES = Object.keys(TRANSITIONS).filter(
+  (status) => TRANSITIONS[status].length
+);
+
+// "pending", "UNDER_REVIEW", "under review" → canonical name (or null)
+function normalizeStatus(value) {
+  if (typeof value !== "string") return null;
+  const key = value.trim().toLowerCase().replace(/[_-]+/g, " ");
+  return (
+    Object.values(STATUS).find((status) => status.toLowerCase() === key) || null
+  );
+}
+
+function canTransition(from, to) {
+  const current = normalizeStatus(from);
+  const next = normalizeStatus(to);
+  return !!current && !!next && TRANSITIONS[current].includes(next);
+}
+
+// Throws an error carrying an HTTP status the route can send back as-is
+function assertTransition(from, to) {
+  const next = normalizeStatus(to);
+  if (!next) {
+    const error = new Error(
+      `Unknown status "${to}". Allowed: ${Object.values(STATUS).join(", ")}`
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  if (!canTransition(from, next)) {
+    const current = normalizeStatus(from) || from;
+    const error = new Error(
+      `Cannot change status from "${current}" to "${next}"`
+    );
+    error.status = 409;
+    error.allowed = TRANSITIONS[current] || [];
+    throw error;
+  }
+
+  return next;
+}
+
+module.exports = {
+  STATUS,
+  TRANSITIONS,
+  ACTIVE_STATUSES,
+  normalizeStatus,
+  canTransition,
+  assertTransition,
+};
@@ -0,0 +1,27 @@
+// ================= AUDIT LOG HELPERS =================
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Top-level field diff: { field: { from, to } } for every field that changed.
+// Either side may be null (create / delete).
+function diffDocuments(before, after) {
+  const diff = {};
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const key of keys) {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (!same(from, to)) {
+      diff[key] = { from: from ?? null, to: to ?? null };
+    }
+  }
+  return diff;
+}
+
+// Client IP as seen through Vercel's proxy (app has `trust proxy` set)
+const clientIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+module.exports = { diffDocuments, clientIp };
@@ -0,0 +1,82 @@
+// ================= CURRENCY =================
+// Stripe wants amounts in the currency's smallest unit: cents for USD,
+// poisha for BDT, but whole yen for JPY (zero-decimal) and 1/1000 for the
+// three-decimal currencies.
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || "usd").toLowerCase();
+
+const SUPPORTED_CURRENCIES = [
+  "bdt",
+  "usd",
+  "eur",
+  "gbp",
+  "inr",
+  "pkr",
+  "aed",
+  "sar",
+  "myr",
+  "sgd",
+  "jpy",
+  "krw",
+  "kwd",
+];
+
+// https://docs.stripe.com/currencies#zero-decimal
+const ZERO_DECIMAL = new Set([
+  "bif",
+  "clp",
+  "djf",
+  "gnf",
+  "jpy",
+  "kmf",
+  "krw",
+  "mga",
+  "pyg",
+  "rwf",
+  "ugx",
+  "vnd",
+  "vuv",
+  "xaf",
+  "xof",
+  "xpf",
+]);
+
+// https://docs.stripe.com/currencies#three-decimal
+const THREE_DECIMAL = new Set(["bhd", "jod", "kwd", "omr", "tnd"]);
+
+const minorUnitFactor = (currency) => {
+  const code = String(currency).toLowerCase();
+  if (ZERO_DECIMAL.has(code)) return 1;
+  if (THREE_DECIMAL.has(code)) return 1000;
+  return 100;
+};
+
+// 12.5 USD → 1250, 1500 JPY → 1500, 1.234 KWD → 1230 (Stripe needs a
+// multiple of 10 for three-decimal currencies)
+function toMinorUnits(amount, currency) {
+  const code = String(currency).toLowerCase();
+  const minor = Math.round(Number(amount) * minorUnitFactor(code));
+  return THREE_DECIMAL.has(code) ? Math.round(minor / 10) * 10 : minor;
+}
+
+// Round to the smallest amount Stripe can actually charge: 2 decimals for
+// most currencies, whole units for JPY/KRW, and 2 (not 3) decimals for the
+// three-decimal ones because their last digit must be 0.
+function roundMoney(amount, currency = DEFAULT_CURRENCY) {
+  const code = String(currency).toLowerCase();
+  const step = THREE_DECIMAL.has(code) ? 100 : minorUnitFactor(code);
+  return Math.round((Number(amount) + Number.EPSILON) * step) / step;
+}
+
+// 1250 USD → 12.5, 1500 JPY → 1500
+const fromMinorUnits = (minor, currency) =>
+  Number(minor) / minorUnitFactor(currency);
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  minorUnitFactor,
+  roundMoney,
+  toMinorUnits,
+  fromMinorUnits,
+};
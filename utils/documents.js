@@ -0,0 +1,49 @@
+// ================= APPLICATION DOCUMENTS =================
+
+const DOCUMENT_TYPES = ["national_id", "income_proof", "bank_statement"];
+
+const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024; // 5 MB
+
+// Allowed MIME types with the file signature ("magic bytes") each must start
+// with, so a renamed .exe can't pass as a PDF
+const ALLOWED_MIME_TYPES = {
+  "application/pdf": { ext: ".pdf", signature: [0x25, 0x50, 0x44, 0x46] }, // %PDF
+  "image/png": { ext: ".png", signature: [0x89, 0x50, 0x4e, 0x47] },
+  "image/jpeg": { ext: ".jpg", signature: [0xff, 0xd8, 0xff] },
+};
+
+// Returns an error message, or null when the file is acceptable
+function checkDocumentFile(file) {
+  if (!file) return "file is required";
+
+  const allowed = ALLOWED_MIME_TYPES[file.mimetype];
+  if (!allowed) {
+    return `file type must be one of: ${Object.keys(ALLOWED_MIME_TYPES).join(
+      ", "
+    )}`;
+  }
+
+  const matches = allowed.signature.every(
+    (byte, index) => file.buffer[index] === byte
+  );
+  if (!matches) return "file content does not match its type";
+
+  if (file.size > MAX_DOCUMENT_SIZE) {
+    return `file must be at most ${MAX_DOCUMENT_SIZE / 1024 / 1024} MB`;
+  }
+  return null;
+}
+
+// Required document types not yet uploaded on an application
+function missingDocuments(requiredDocuments = [], documents = []) {
+  const uploaded = new Set(documents.map((doc) => doc.type));
+  return requiredDocuments.filter((type) => !uploaded.has(type));
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  MAX_DOCUMENT_SIZE,
+  ALLOWED_MIME_TYPES,
+  checkDocumentFile,
+  missingDocuments,
+};
@@ -0,0 +1,137 @@
+// ================= CSV / XLSX EXPORT =================
+// Streams a Mongo cursor straight into the response, one row at a time,
+// so exporting a large collection never holds it all in memory.
+
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+
+const iso = (value) => (value ? new Date(value).toISOString() : "");
+
+// Column order is part of the contract: finance scripts read by position
+const EXPORT_COLUMNS = {
+  applications: [
+    { header: "Application ID", value: (doc) => String(doc._id) },
+    { header: "Borrower Email", value: (doc) => doc.userEmail },
+    { header: "Borrower Name", value: (doc) => doc.userName },
+    { header: "Loan ID", value: (doc) => doc.loanId },
+    { header: "Loan Title", value: (doc) => doc.loanTitle },
+    { header: "Category", value: (doc) => doc.category },
+    { header: "Loan Amount", value: (doc) => doc.loanAmount },
+    { header: "Approved Amount", value: (doc) => doc.approvedAmount },
+    { header: "Tenure (months)", value: (doc) => doc.tenureMonths },
+    { header: "Interest Rate", value: (doc) => doc.interestRate },
+    { header: "Status", value: (doc) => doc.status },
+    { header: "Fee Status", value: (doc) => doc.applicationFeeStatus },
+    { header: "Risk Score", value: (doc) => doc.risk?.score },
+    { header: "Risk Band", value: (doc) => doc.risk?.band },
+    { header: "Assigned Manager", value: (doc) => doc.assignedManager },
+    { header: "Outstanding Balance", value: (doc) => doc.outstandingBalance },
+    { header: "Tracking ID", value: (doc) => doc.trackingId },
+    { header: "Applied At", value: (doc) => iso(doc.appliedAt) },
+    { header: "Approved At", value: (doc) => iso(doc.approvedAt) },
+    { header: "Rejected At", value: (doc) => iso(doc.rejectedAt) },
+  ],
+  payments: [
+    { header: "Payment ID", value: (doc) => String(doc._id) },
+    { header: "Type", value: (doc) => doc.paymentType || "application_fee" },
+    { header: "Application ID", value: (doc) => doc.applicationId },
+    { header: "Loan Title", value: (doc) => doc.loanTitle },
+    { header: "Customer Email", value: (doc) => doc.customerEmail },
+    { header: "Amount", value: (doc) => doc.amount },
+    { header: "Currency", value: (doc) => doc.currency },
+    { header: "Amount Refunded", value: (doc) => doc.amountRefunded || 0 },
+    { header: "Status", value: (doc) => doc.paymentStatus },
+    { header: "Transaction ID", value: (doc) => doc.transactionId },
+    { header: "Tracking ID", value: (doc) => doc.trackingId },
+    { header: "Paid At", value: (doc) => iso(doc.paidAt) },
+  ],
+  users: [
+    { header: "User ID", value: (doc) => String(doc._id) },
+    { header: "Name", value: (doc) => doc.name },
+    { header: "Email", value: (doc) => doc.email },
+    { header: "Role", value: (doc) => doc.role },
+    { header: "Suspended", value: (doc) => (doc.suspended ? "yes" : "no") },
+    { header: "Suspend Reason", value: (doc) => doc.suspendReason },
+    { header: "Suspended Until", value: (doc) => iso(doc.suspendedUntil) },
+    { header: "Created At", value: (doc) => iso(doc.createdAt) },
+  ],
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", ext: "csv" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ext: "xlsx",
+  },
+};
+
+// Quotes when needed and defuses spreadsheet formulas (=, +, -, @)
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function writeCsv(cursor, columns, res) {
+  // BOM so Excel opens UTF-8 (Bangla names) correctly
+  res.write(
+    "\uFEFF" + columns.map((col) => csvCell(col.header)).join(",") + "\r\n"
+  );
+
+  for await (const doc of cursor) {
+    const line = columns.map((col) => csvCell(col.value(doc))).join(",");
+    // respect backpressure instead of buffering the whole export
+    if (!res.write(line + "\r\n")) await once(res, "drain");
+  }
+  res.end();
+}
+
+async function writeXlsx(cursor, columns, res, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((col) => ({ header: col.header, width: 20 }));
+
+  for await (const doc of cursor) {
+    sheet.addRow(columns.map((col) => col.value(doc) ?? null)).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Stream `cursor` to `res` as CSV or XLSX.
+ * @param {"applications"|"payments"|"users"} resource
+ * @param {"csv"|"xlsx"} format
+ * @param {Date} [now]  date used in the file name
+ */
+async function streamExport({
+  cursor,
+  resource,
+  format,
+  res,
+  now = new Date(),
+}) {
+  const columns = EXPORT_COLUMNS[resource];
+  const { contentType, ext } = EXPORT_FORMATS[format];
+  const stamp = now.toISOString().slice(0, 10);
+
+  res.setHeader("Content-Type", contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="loanlink-${resource}-${stamp}.${ext}"`
+  );
+
+  // stop reading from Mongo if the client goes away
+  res.on("close", () => cursor.close().catch(() => {}));
+
+  if (format === "xlsx") return writeXlsx(cursor, columns, res, resource);
+  return writeCsv(cursor, columns, res);
+}
+
+module.exports = { EXPORT_COLUMNS, EXPORT_FORMATS, csvCell, streamExport };
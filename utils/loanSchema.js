@@ -0,0 +1,101 @@
+// ================= LOAN PRODUCT SCHEMA =================
+const { validate } = require("./validate");
+const { METHODS } = require("./repaymentSchedule");
+const { DOCUMENT_TYPES } = require("./documents");
+const { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES } = require("./currency");
+
+const loanSchema = {
+  title: { type: "string", required: true, min: 3, max: 120 },
+  description: { type: "string", max: 5000 },
+  category: { type: "string", required: true, min: 2, max: 60 },
+  interestRate: { type: "number", required: true, min: 0, max: 100 }, // yearly %
+  currency: {
+    type: "string",
+    lowercase: true,
+    enum: SUPPORTED_CURRENCIES,
+    default: DEFAULT_CURRENCY,
+  },
+  interestMethod: { type: "string", enum: METHODS, default: "reducing" },
+  minAmount: { type: "number", required: true, min: 1 },
+  maxAmount: { type: "number", required: true, min: 1 },
+  tenureOptions: {
+    type: "array",
+    required: true,
+    minItems: 1,
+    maxItems: 24,
+    of: { type: "integer", min: 1, max: 360 }, // months
+  },
+  requiredDocuments: {
+    type: "array",
+    default: [],
+    maxItems: 20,
+    of: { type: "string", enum: DOCUMENT_TYPES },
+  },
+  emiPlans: {
+    type: "array",
+    default: [],
+    maxItems: 24,
+    of: { type: "string", min: 1, max: 60 },
+  },
+  images: {
+    type: "array",
+    default: [],
+    maxItems: 10,
+    of: { type: "string", pattern: /^https?:\/\/\S+$/i },
+  },
+  showOnHome: { type: "boolean", default: false },
+};
+
+/**
+ * Validate a create (full) or update (partial) loan product payload.
+ * For updates, pass the stored loan as `existing` so min/max are still
+ * checked against each other when only one of them changes.
+ */
+function validateLoan(input, { partial = false, existing = {} } = {}) {
+  const { value, errors } = validate(loanSchema, input, { partial });
+
+  const minAmount = value.minAmount ?? existing.minAmount;
+  const maxAmount = value.maxAmount ?? existing.maxAmount;
+  if (
+    typeof minAmount === "number" &&
+    typeof maxAmount === "number" &&
+    minAmount > maxAmount
+  ) {
+    errors.push({
+      field: "maxAmount",
+      message: "must be greater than or equal to minAmount",
+    });
+  }
+
+  if (partial && !errors.length && !Object.keys(value).length) {
+    errors.push({ field: "body", message: "has no fields to update" });
+  }
+
+  return { value, errors };
+}
+
+// Everything that defines the product; the home-page flag is presentation
+// only and doesn't start a new version
+const LOAN_TERM_FIELDS = Object.keys(loanSchema).filter(
+  (field) => field !== "showOnHome"
+);
+
+// The product's terms as stored in a loan version (legacy products only
+// have maxLoanLimit)
+function snapshotLoanTerms(loan) {
+  const terms = {};
+  for (const field of LOAN_TERM_FIELDS) {
+    if (loan[field] !== undefined) terms[field] = loan[field];
+  }
+  if (terms.maxAmount === undefined && loan.maxLoanLimit !== undefined) {
+    terms.maxAmount = Number(loan.maxLoanLimit);
+  }
+  return terms;
+}
+
+module.exports = {
+  loanSchema,
+  validateLoan,
+  LOAN_TERM_FIELDS,
+  snapshotLoanTerms,
+};
@@ -0,0 +1,57 @@
+// ================= BORROWER NOTIFICATIONS =================
+const { renderTemplate } = require("./templates");
+const { createTransportFromEnv } = require("./transports");
+
+/**
+ * @param {object} options
+ * @param {import("mongodb").Collection} options.collection  in-app notifications
+ * @param {{ send: Function }} [options.transport]  defaults to NOTIFY_TRANSPORT
+ * @param {() => Date} [options.clock]
+ */
+function createNotifier({
+  collection,
+  transport = createTransportFromEnv(),
+  clock = () => new Date(),
+}) {
+  /**
+   * Store an in-app notification and send it through the transport.
+   * Never throws: a notification problem must not fail the action that
+   * triggered it.
+   */
+  const notify = async (event, { to, data = {} }) => {
+    if (!to) return null;
+
+    try {
+      const { title, message } = renderTemplate(event, data);
+      const doc = {
+        userEmail: to,
+        event,
+        title,
+        message,
+        data,
+        read: false,
+        createdAt: clock(),
+      };
+      await collection.insertOne(doc);
+
+      try {
+        await transport.send({
+          to,
+          subject: `LoanLink: ${title}`,
+          text: message,
+        });
+      } catch (err) {
+        console.error(`NOTIFY ${transport.name} ERROR:`, err.message);
+      }
+
+      return doc;
+    } catch (err) {
+      console.error("NOTIFY ERROR:", err);
+      return null;
+    }
+  };
+
+  return { notify };
+}
+
+module.exports = { createNotifier };
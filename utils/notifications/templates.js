@@ -0,0 +1,51 @@
+// ================= NOTIFICATION TEMPLATES =================
+// Each template turns event data into { title, message }. The same text is
+// used for the in-app notification and the email body.
+
+const { DEFAULT_CURRENCY, minorUnitFactor } = require("../currency");
+
+const money = (amount, currency) => {
+  const code = currency || DEFAULT_CURRENCY;
+  const digits = Math.log10(minorUnitFactor(code));
+  return `${Number(amount || 0).toFixed(digits)} ${code.toUpperCase()}`;
+};
+
+const templates = {
+  application_submitted: ({ loanTitle, loanAmount }) => ({
+    title: "Application submitted",
+    message: `Your application for ${loanTitle} (${loanAmount}) has been received and is waiting for review.`,
+  }),
+
+  application_approved: ({ loanTitle, approvedAmount }) => ({
+    title: "Application approved 🎉",
+    message: `Good news! Your application for ${loanTitle} was approved for ${approvedAmount}. Your repayment schedule is now available in your dashboard.`,
+  }),
+
+  application_rejected: ({ loanTitle, reason }) => ({
+    title: "Application rejected",
+    message: `Your application for ${loanTitle} was not approved.${
+      reason ? ` Reason: ${reason}` : ""
+    }`,
+  }),
+
+  application_cancelled: ({ loanTitle }) => ({
+    title: "Application cancelled",
+    message: `Your application for ${loanTitle} has been cancelled.`,
+  }),
+
+  payment_succeeded: ({ loanTitle, amount, currency, trackingId }) => ({
+    title: "Payment received",
+    message: `We received your payment of ${money(
+      amount,
+      currency
+    )} for ${loanTitle}. Tracking ID: ${trackingId}`,
+  }),
+};
+
+function renderTemplate(event, data = {}) {
+  const template = templates[event];
+  if (!template) throw new Error(`No notification template for "${event}"`);
+  return template(data);
+}
+
+module.exports = { templates, renderTemplate };
@@ -0,0 +1,75 @@
+// ================= NOTIFICATION TRANSPORTS =================
+// A transport is anything with `send({ to, subject, text })`.
+// Pick one with NOTIFY_TRANSPORT=smtp|file|console.
+
+const fs = require("fs/promises");
+const path = require("path");
+
+// SMTP email through nodemailer
+function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = process.env.SMTP_PORT || 587,
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  from = process.env.MAIL_FROM || "LoanLink <no-reply@loanlink.app>",
+} = {}) {
+  const nodemailer = require("nodemailer");
+  const mailer = nodemailer.createTransport({
+    host,
+    port: Number(port),
+    secure: Number(port) === 465,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: ({ to, subject, text }) =>
+      mailer.sendMail({ from, to, subject, text }),
+  };
+}
+
+// One JSON line per message — handy for development and tests
+function createFileTransport({
+  file = process.env.NOTIFY_FILE ||
+    path.join(process.cwd(), "notifications.log"),
+} = {}) {
+  return {
+    name: "file",
+    send: (message) =>
+      fs.appendFile(
+        file,
+        JSON.stringify({ ...message, sentAt: new Date() }) + "\n"
+      ),
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: "console",
+    send: async ({ to, subject, text }) =>
+      console.log(`📧 [notify] to=${to} | ${subject} | ${text}`),
+  };
+}
+
+// Falls back to console when SMTP isn't configured
+function createTransportFromEnv(env = process.env) {
+  const kind = env.NOTIFY_TRANSPORT || (env.SMTP_HOST ? "smtp" : "console");
+
+  switch (kind) {
+    case "smtp":
+      return createSmtpTransport();
+    case "file":
+      return createFileTransport();
+    case "console":
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown NOTIFY_TRANSPORT "${kind}"`);
+  }
+}
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createTransportFromEnv,
+};
@@ -0,0 +1,171 @@
+// ================= PAGINATION / SORT / FILTER HELPERS =================
+// Every list endpoint answers with the same envelope:
+//   { data, total, page, limit, totalPages, hasNextPage, nextCursor }
+// Clients can page with ?page=&limit= or follow ?cursor=<nextCursor>.
+
+const { BSON } = require("mongodb");
+
+const { EJSON } = BSON;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Read page/limit/cursor/sort from a query string.
+ *
+ * @param {object} query  req.query
+ * @param {object} options
+ * @param {string[]} options.sortFields  fields the client may sort by
+ * @param {string} options.defaultSort   e.g. "-createdAt" (minus = descending)
+ */
+function parseListQuery(
+  query,
+  { sortFields, defaultSort, defaultLimit = 20, maxLimit = 100 }
+) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || defaultLimit, 1),
+    maxLimit
+  );
+
+  const sortParam = query.sort || defaultSort;
+  const direction = sortParam.startsWith("-") ? -1 : 1;
+  const sortField = sortParam.replace(/^[-+]/, "");
+  if (!sortFields.includes(sortField)) {
+    throw httpError(
+      400,
+      `Cannot sort by "${sortField}". Allowed: ${sortFields.join(", ")}`
+    );
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    try {
+      cursor = EJSON.parse(
+        Buffer.from(String(query.cursor), "base64url").toString("utf8")
+      );
+    } catch (err) {
+      throw httpError(400, "Invalid cursor");
+    }
+    if (cursor.field !== sortField || cursor.direction !== direction) {
+      throw httpError(400, "Cursor does not match the requested sort");
+    }
+  }
+
+  return { page, limit, sortField, direction, cursor };
+}
+
+// "risk.score" → doc.risk.score
+const getPath = (doc, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? value : value[key]), doc);
+
+const encodeCursor = (doc, sortField, direction) =>
+  Buffer.from(
+    EJSON.stringify({
+      field: sortField,
+      direction,
+      value: getPath(doc, sortField) ?? null,
+      id: doc._id,
+    }),
+    "utf8"
+  ).toString("base64url");
+
+/**
+ * Run a paged query. `_id` is the tie-breaker so equal sort values never
+ * repeat or go missing between pages.
+ */
+async function paginate(collection, filter, listQuery, { projection } = {}) {
+  const { page, limit, sortField, direction, cursor } = listQuery;
+  const op = direction === 1 ? "$gt" : "$lt";
+
+  let pageFilter = filter;
+  if (cursor) {
+    pageFilter = {
+      $and: [
+        filter,
+        {
+          $or: [
+            { [sortField]: { [op]: cursor.value } },
+            { [sortField]: cursor.value, _id: { [op]: cursor.id } },
+          ],
+        },
+      ],
+    };
+  }
+
+  const findCursor = collection
+    .find(pageFilter, { projection })
+    .sort({ [sortField]: direction, _id: direction })
+    .limit(limit + 1);
+  if (!cursor) findCursor.skip((page - 1) * limit);
+
+  const [total, docs] = await Promise.all([
+    collection.countDocuments(filter),
+    findCursor.toArray(),
+  ]);
+
+  const hasNextPage = docs.length > limit;
+  const data = hasNextPage ? docs.slice(0, limit) : docs;
+
+  return {
+    data,
+    total,
+    page: cursor ? null : page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    hasNextPage,
+    nextCursor: hasNextPage
+      ? encodeCursor(data[data.length - 1], sortField, direction)
+      : null,
+  };
+}
+
+// ?min=&max= → { $gte, $lte } (numbers); undefined when neither is given
+function numberRange(min, max) {
+  const range = {};
+  if (min !== undefined && min !== "" && !isNaN(min)) range.$gte = Number(min);
+  if (max !== undefined && max !== "" && !isNaN(max)) range.$lte = Number(max);
+  return Object.keys(range).length ? range : undefined;
+}
+
+// ?from=&to= → { $gte, $lte } (dates); a bare "to" date includes that whole day
+function dateRange(from, to) {
+  const range = {};
+  if (from) {
+    const date = new Date(from);
+    if (isNaN(date)) throw httpError(400, `Invalid date "${from}"`);
+    range.$gte = date;
+  }
+  if (to) {
+    const date = new Date(to);
+    if (isNaN(date)) throw httpError(400, `Invalid date "${to}"`);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) date.setUTCHours(23, 59, 59, 999);
+    range.$lte = date;
+  }
+  return Object.keys(range).length ? range : undefined;
+}
+
+// ?search= → case-insensitive substring match. User input is escaped so it
+// can't smuggle in regex syntax (or catastrophic backtracking patterns).
+const MAX_SEARCH_LENGTH = 100;
+
+function searchRegex(term) {
+  const escaped = String(term)
+    .slice(0, MAX_SEARCH_LENGTH)
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return { $regex: escaped, $options: "i" };
+}
+
+module.exports = {
+  parseListQuery,
+  paginate,
+  numberRange,
+  dateRange,
+  httpError,
+  searchRegex,
+};
@@ -0,0 +1,173 @@
+// ================= PDF RECEIPTS & LETTERS =================
+// Both documents are rendered straight into the response stream.
+
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const { DEFAULT_CURRENCY, minorUnitFactor } = require("./currency");
+
+const BRAND_COLOR = "#1e3a8a";
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().slice(0, 10) : "-";
+
+// legacy records without a currency were charged in DEFAULT_CURRENCY
+const formatMoney = (amount, currency) => {
+  const code = currency || DEFAULT_CURRENCY;
+  const digits = Math.log10(minorUnitFactor(code));
+  return `${Number(amount || 0).toLocaleString("en-US", {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  })} ${code.toUpperCase()}`;
+};
+
+// Short code printed on every document; anyone can check it at /verify/:ref
+const generateVerificationRef = () =>
+  `LLV-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+
+function startDocument(res, fileName, title) {
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    info: { Title: title },
+  });
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  doc.pipe(res);
+
+  doc.fillColor(BRAND_COLOR).fontSize(24).text("LoanLink", { align: "left" });
+  doc
+    .fillColor("#555")
+    .fontSize(10)
+    .text("Microloan Request & Approval Tracker");
+  doc.moveDown(1.5);
+  doc.fillColor("#000").fontSize(16).text(title);
+  doc.moveDown();
+
+  return doc;
+}
+
+// Label / value pairs in two columns
+function detailsTable(doc, rows) {
+  doc.fontSize(11);
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.fillColor("#555").text(label, 50, y, { width: 170 });
+    doc.fillColor("#000").text(String(value ?? "-"), 220, y, { width: 325 });
+    doc.moveDown(0.4);
+  }
+  doc.moveDown();
+}
+
+function footer(doc, verificationRef, generatedAt) {
+  doc
+    .fontSize(9)
+    .fillColor("#555")
+    .text(
+      `Verification reference: ${verificationRef} — verify at ${
+        process.env.SERVER_DOMAIN || ""
+      }/verify/${verificationRef}`,
+      50,
+      doc.page.height - 90,
+      { width: doc.page.width - 100, align: "center" }
+    )
+    .text(`Generated on ${formatDate(generatedAt)}`, { align: "center" });
+}
+
+function renderPaymentReceipt(
+  res,
+  { payment, verificationRef, generatedAt = new Date() }
+) {
+  const doc = startDocument(
+    res,
+    `receipt-${payment.trackingId || payment._id}.pdf`,
+    "Payment Receipt"
+  );
+
+  detailsTable(doc, [
+    ["Receipt for", payment.customerEmail],
+    ["Loan", payment.loanTitle],
+    [
+      "Payment type",
+      (payment.paymentType || "application_fee").replace(/_/g, " "),
+    ],
+    ["Amount", formatMoney(payment.amount, payment.currency)],
+    ["Currency", (payment.currency || DEFAULT_CURRENCY).toUpperCase()],
+    ["Status", payment.paymentStatus],
+    ...(payment.amountRefunded
+      ? [["Refunded", formatMoney(payment.amountRefunded, payment.currency)]]
+      : []),
+    ["Tracking ID", payment.trackingId],
+    ["Transaction ID", payment.transactionId],
+    ["Paid on", formatDate(payment.paidAt)],
+  ]);
+
+  footer(doc, verificationRef, generatedAt);
+  doc.end();
+}
+
+function renderApprovalLetter(
+  res,
+  { application, verificationRef, generatedAt = new Date() }
+) {
+  const doc = startDocument(
+    res,
+    `approval-letter-${application.trackingId || application._id}.pdf`,
+    "Loan Approval Letter"
+  );
+  const currency = application.currency || DEFAULT_CURRENCY;
+  const schedule = application.repaymentSchedule;
+
+  doc
+    .fontSize(11)
+    .text(`Dear ${application.userName || application.userEmail},`)
+    .moveDown()
+    .text(
+      `We are pleased to inform you that your application for ${
+        application.loanTitle
+      } has been approved on ${formatDate(application.approvedAt)}.`
+    )
+    .moveDown();
+
+  detailsTable(doc, [
+    ["Loan", application.loanTitle],
+    ["Requested amount", formatMoney(application.loanAmount, currency)],
+    [
+      "Approved amount",
+      formatMoney(
+        application.approvedAmount ?? application.loanAmount,
+        currency
+      ),
+    ],
+    ["Currency", currency.toUpperCase()],
+    ["Interest rate", `${application.interestRate ?? "-"}% per year`],
+    ...(schedule
+      ? [
+          ["Tenure", `${schedule.tenureMonths} months`],
+          [
+            "Monthly installment",
+            formatMoney(schedule.installmentAmount, currency),
+          ],
+          ["Total payable", formatMoney(schedule.totalPayable, currency)],
+          [
+            "First installment due",
+            formatDate(schedule.installments[0]?.dueDate),
+          ],
+        ]
+      : []),
+    ["Tracking ID", application.trackingId],
+    ["Applied on", formatDate(application.appliedAt)],
+    ["Approved on", formatDate(application.approvedAt)],
+  ]);
+
+  doc.text("Sincerely,").text("LoanLink Credit Team");
+
+  footer(doc, verificationRef, generatedAt);
+  doc.end();
+}
+
+module.exports = {
+  generateVerificationRef,
+  renderPaymentReceipt,
+  renderApprovalLetter,
+};
@@ -0,0 +1,230 @@
+// ================= REPAYMENT SCHEDULE (AMORTIZATION) =================
+// Pure helpers: no DB access here, routes decide what to store.
+//
+// Every amount in a schedule is rounded to what Stripe can charge in the
+// loan's currency (whole yen for JPY), otherwise sub-unit leftovers can
+// never be paid off.
+
+const { DEFAULT_CURRENCY, roundMoney } = require("./currency");
+
+const METHODS = ["flat", "reducing"];
+
+// 2-decimal rounding for non-schedule figures (rates, averages)
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Same day-of-month N months later, clamped to the month's last day
+// (Jan 31 + 1 month → Feb 28/29)
+function addMonths(date, months) {
+  const start = new Date(date);
+  const target = new Date(
+    Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1)
+  );
+  const lastDay = new Date(
+    Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  target.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return target;
+}
+
+// Flat: interest is charged on the original principal for the whole tenure
+function flatInstallments(principal, annualRate, tenureMonths, round) {
+  const totalInterest = round((principal * annualRate * tenureMonths) / 1200);
+  const principalPart = round(principal / tenureMonths);
+  const interestPart = round(totalInterest / tenureMonths);
+
+  const rows = [];
+  let balance = principal;
+  let interestLeft = totalInterest;
+
+  for (let n = 1; n <= tenureMonths; n++) {
+    const last = n === tenureMonths;
+    // last row absorbs rounding drift so totals match exactly
+    const p = last ? round(balance) : principalPart;
+    const i = last ? round(interestLeft) : interestPart;
+    balance = round(balance - p);
+    interestLeft = round(interestLeft - i);
+    rows.push({ principal: p, interest: i, balance });
+  }
+  return rows;
+}
+
+// Reducing balance: fixed EMI, interest on the outstanding balance each month
+function reducingInstallments(principal, annualRate, tenureMonths, round) {
+  const monthlyRate = annualRate / 1200;
+  const emi =
+    monthlyRate === 0
+      ? principal / tenureMonths
+      : (principal * monthlyRate * Math.pow(1 + monthlyRate, tenureMonths)) /
+        (Math.pow(1 + monthlyRate, tenureMonths) - 1);
+
+  const rows = [];
+  let balance = principal;
+
+  for (let n = 1; n <= tenureMonths; n++) {
+    const i = round(balance * monthlyRate);
+    const p = n === tenureMonths ? round(balance) : round(emi - i);
+    balance = round(balance - p);
+    rows.push({ principal: p, interest: i, balance });
+  }
+  return rows;
+}
+
+/**
+ * Build an installment plan.
+ *
+ * @param {object} options
+ * @param {number} options.principal     approved amount
+ * @param {number} options.annualRate    yearly interest rate in percent (12 = 12%)
+ * @param {number} options.tenureMonths  number of monthly installments
+ * @param {string} [options.method]      "flat" | "reducing" (default "reducing")
+ * @param {string} [options.currency]    amounts are rounded to its minor unit
+ * @param {Date}   [options.now]         when the schedule is generated
+ * @param {Date}   [options.startDate]   first due date is one month after
+ *                                       this (default: now)
+ */
+function generateRepaymentSchedule({
+  principal,
+  annualRate,
+  tenureMonths,
+  method = "reducing",
+  currency = DEFAULT_CURRENCY,
+  now = new Date(),
+  startDate = now,
+}) {
+  const round = (value) => roundMoney(value, currency);
+  principal = round(parseFloat(principal));
+  annualRate = parseFloat(annualRate);
+  tenureMonths = parseInt(tenureMonths);
+
+  if (!(principal > 0)) throw new Error("Principal must be a positive number");
+  if (!(annualRate >= 0)) throw new Error("Interest rate must be 0 or more");
+  if (!(tenureMonths > 0)) throw new Error("Tenure must be at least 1 month");
+  if (!METHODS.includes(method)) {
+    throw new Error(`Method must be one of: ${METHODS.join(", ")}`);
+  }
+
+  const rows =
+    method === "flat"
+      ? flatInstallments(principal, annualRate, tenureMonths, round)
+      : reducingInstallments(principal, annualRate, tenureMonths, round);
+
+  const installments = rows.map((row, index) => ({
+    number: index + 1,
+    dueDate: addMonths(startDate, index + 1),
+    principal: row.principal,
+    interest: row.interest,
+    amount: round(row.principal + row.interest),
+    balance: row.balance,
+    paidAmount: 0,
+    status: "Due",
+  }));
+
+  const totalInterest = round(
+    installments.reduce((sum, row) => sum + row.interest, 0)
+  );
+
+  return {
+    method,
+    currency,
+    principal,
+    annualInterestRate: annualRate,
+    tenureMonths,
+    installmentAmount: installments[0].amount,
+    totalInterest,
+    totalPayable: round(principal + totalInterest),
+    totalPaid: 0,
+    outstandingBalance: round(principal + totalInterest),
+    generatedAt: now,
+    installments,
+  };
+}
+
+const REPAYMENT_TYPES = ["installment", "partial", "prepayment"];
+
+// What is still owed on one installment
+const installmentDue = (row, currency = DEFAULT_CURRENCY) =>
+  roundMoney(row.amount - (row.paidAmount || 0), currency);
+
+/**
+ * Spread a repayment over the schedule's installments.
+ *
+ * - "installment": starts at `installmentNumber`, overflow goes to later ones
+ * - "partial":     oldest unpaid installment first
+ * - "prepayment":  last installment first, so the tenure shrinks
+ *
+ * Returns a new schedule object; the input is left untouched. Schedules
+ * from before per-currency rounding pass their currency explicitly.
+ */
+function allocateRepayment(
+  schedule,
+  amount,
+  {
+    type,
+    installmentNumber,
+    currency = schedule.currency,
+    now = new Date(),
+  } = {}
+) {
+  currency = currency || DEFAULT_CURRENCY;
+  const round = (value) => roundMoney(value, currency);
+  amount = round(parseFloat(amount));
+  if (!(amount > 0)) throw new Error("Amount must be a positive number");
+  if (!REPAYMENT_TYPES.includes(type)) {
+    throw new Error(`Type must be one of: ${REPAYMENT_TYPES.join(", ")}`);
+  }
+
+  const installments = schedule.installments.map((row) => ({ ...row }));
+
+  let order = installments;
+  if (type === "installment") {
+    const start = installments.findIndex(
+      (row) => row.number === parseInt(installmentNumber)
+    );
+    if (start === -1) throw new Error("Installment not found");
+    order = installments.slice(start);
+  } else if (type === "prepayment") {
+    order = [...installments].reverse();
+  }
+
+  const allocations = [];
+  let remaining = amount;
+
+  for (const row of order) {
+    if (remaining <= 0) break;
+    const due = installmentDue(row, currency);
+    if (due <= 0) continue;
+
+    const applied = Math.min(due, remaining);
+    row.paidAmount = round((row.paidAmount || 0) + applied);
+    row.status = installmentDue(row, currency) <= 0 ? "Paid" : "Partially Paid";
+    if (row.status === "Paid") row.paidAt = now;
+    remaining = round(remaining - applied);
+    allocations.push({
+      installmentNumber: row.number,
+      amount: round(applied),
+    });
+  }
+
+  const totalPaid = round((schedule.totalPaid || 0) + amount - remaining);
+
+  return {
+    schedule: {
+      ...schedule,
+      installments,
+      totalPaid,
+      outstandingBalance: round(schedule.totalPayable - totalPaid),
+    },
+    allocations,
+    unallocated: remaining,
+  };
+}
+
+module.exports = {
+  generateRepaymentSchedule,
+  allocateRepayment,
+  installmentDue,
+  addMonths,
+  round2,
+  METHODS,
+  REPAYMENT_TYPES,
+};
@@ -0,0 +1,222 @@
+// ================= CREDIT / RISK SCORING =================
+// Score 0–100 (higher = safer) built from independent factors. Each factor
+// maps a measured value onto points through tiers; the first tier that
+// matches wins. Weights and thresholds live in config so they can be tuned
+// without touching the engine.
+
+const DEFAULT_RISK_CONFIG = {
+  version: 1,
+  factors: {
+    // estimated installment ÷ monthly income
+    debtToIncome: {
+      label: "Installment to income ratio",
+      tiers: [
+        { max: 0.2, points: 30 },
+        { max: 0.35, points: 20 },
+        { max: 0.5, points: 10 },
+      ],
+      otherwise: 0,
+    },
+    // requested amount ÷ yearly income
+    loanToIncome: {
+      label: "Loan amount to yearly income",
+      tiers: [
+        { max: 0.5, points: 15 },
+        { max: 1, points: 10 },
+        { max: 2, points: 5 },
+      ],
+      otherwise: 0,
+    },
+    activeLoans: {
+      label: "Active loans",
+      tiers: [
+        { max: 0, points: 15 },
+        { max: 1, points: 8 },
+      ],
+      otherwise: 0,
+    },
+    previousRejections: {
+      label: "Previous rejections",
+      tiers: [
+        { max: 0, points: 15 },
+        { max: 1, points: 7 },
+      ],
+      otherwise: 0,
+    },
+    overdueInstallments: {
+      label: "Overdue installments",
+      tiers: [
+        { max: 0, points: 15 },
+        { max: 1, points: 5 },
+      ],
+      otherwise: 0,
+    },
+    repaymentsMade: {
+      label: "Repayments made",
+      tiers: [
+        { min: 6, points: 10 },
+        { min: 1, points: 5 },
+      ],
+      otherwise: 0,
+    },
+  },
+  // checked top-down, first band whose min the score reaches
+  bands: [
+    { min: 75, band: "Low" },
+    { min: 50, band: "Medium" },
+    { min: 30, band: "High" },
+    { min: 0, band: "Very High" },
+  ],
+};
+
+function pointsFor(factor, value) {
+  const tier = factor.tiers.find((t) =>
+    t.max !== undefined ? value <= t.max : value >= t.min
+  );
+  return tier ? tier.points : factor.otherwise;
+}
+
+const maxPoints = (factor) =>
+  Math.max(factor.otherwise, ...factor.tiers.map((t) => t.points));
+
+/**
+ * @param {object} inputs
+ * @param {number} [inputs.monthlyIncome]
+ * @param {number} inputs.loanAmount
+ * @param {number} [inputs.estimatedInstallment]
+ * @param {number} inputs.activeLoans
+ * @param {number} inputs.previousRejections
+ * @param {number} inputs.overdueInstallments
+ * @param {number} inputs.repaymentsMade
+ * @param {object} [config]  defaults to DEFAULT_RISK_CONFIG
+ * @returns {{ score: number, band: string, reasons: object[] }}
+ */
+function scoreApplication(inputs, config = DEFAULT_RISK_CONFIG) {
+  const { factors } = config;
+  const income = Number(inputs.monthlyIncome) || 0;
+
+  const measured = {
+    debtToIncome:
+      income > 0 && inputs.estimatedInstallment
+        ? inputs.estimatedInstallment / income
+        : null,
+    loanToIncome: income > 0 ? inputs.loanAmount / (income * 12) : null,
+    activeLoans: inputs.activeLoans,
+    previousRejections: inputs.previousRejections,
+    overdueInstallments: inputs.overdueInstallments,
+    repaymentsMade: inputs.repaymentsMade,
+  };
+
+  let earned = 0;
+  let possible = 0;
+  const reasons = [];
+
+  for (const [key, factor] of Object.entries(factors)) {
+    const value = measured[key];
+    possible += maxPoints(factor);
+
+    if (value === null || value === undefined) {
+      reasons.push({
+        factor: key,
+        label: factor.label,
+        value: null,
+        points: 0,
+        maxPoints: maxPoints(factor),
+        detail: "not enough data (monthly income missing)",
+      });
+      continue;
+    }
+
+    const points = pointsFor(factor, value);
+    earned += points;
+    reasons.push({
+      factor: key,
+      label: factor.label,
+      value: Math.round(value * 100) / 100,
+      points,
+      maxPoints: maxPoints(factor),
+    });
+  }
+
+  const score = possible ? Math.round((earned / possible) * 100) : 0;
+  const { band } = config.bands.find((b) => score >= b.min);
+
+  return { score, band, reasons, configVersion: config.version };
+}
+
+// Factors the engine knows how to measure; a config can only re-tune these
+const RISK_FACTORS = Object.keys(DEFAULT_RISK_CONFIG.factors);
+
+const isPoints = (value) => typeof value === "number" && value >= 0;
+
+// Throws on anything scoreApplication couldn't use
+function checkRiskConfig(custom) {
+  if (!custom || typeof custom !== "object" || Array.isArray(custom)) {
+    throw new Error("must be a JSON object");
+  }
+  for (const [key, factor] of Object.entries(custom.factors || {})) {
+    if (!RISK_FACTORS.includes(key)) {
+      throw new Error(
+        `unknown factor "${key}". Allowed: ${RISK_FACTORS.join(", ")}`
+      );
+    }
+    if (!Array.isArray(factor?.tiers) || !isPoints(factor.otherwise)) {
+      throw new Error(
+        `factor "${key}" needs tiers[] and a non-negative numeric otherwise`
+      );
+    }
+    for (const tier of factor.tiers) {
+      const bound = tier?.max !== undefined ? tier.max : tier?.min;
+      if (!isPoints(tier?.points) || typeof bound !== "number") {
+        throw new Error(
+          `factor "${key}": every tier needs non-negative numeric points and a numeric max or min`
+        );
+      }
+    }
+  }
+
+  if (custom.bands === undefined) return;
+  if (!Array.isArray(custom.bands)) throw new Error("bands must be an array");
+  for (const band of custom.bands) {
+    if (typeof band?.min !== "number" || typeof band.band !== "string") {
+      throw new Error("every band needs a numeric min and a band name");
+    }
+  }
+  // scores never go below 0, so this one always matches
+  if (!custom.bands.some((band) => band.min === 0)) {
+    throw new Error("bands need one with min 0");
+  }
+}
+
+// RISK_SCORING_CONFIG may hold a JSON config replacing the defaults. A bad
+// value is logged and ignored rather than keeping the server from starting.
+function loadRiskConfig(env = process.env) {
+  if (!env.RISK_SCORING_CONFIG) return DEFAULT_RISK_CONFIG;
+
+  let custom;
+  try {
+    custom = JSON.parse(env.RISK_SCORING_CONFIG);
+    checkRiskConfig(custom);
+  } catch (err) {
+    console.error(
+      `RISK_SCORING_CONFIG ignored, using defaults: ${err.message}`
+    );
+    return DEFAULT_RISK_CONFIG;
+  }
+
+  return {
+    ...DEFAULT_RISK_CONFIG,
+    ...custom,
+    factors: {
+      ...DEFAULT_RISK_CONFIG.factors,
+      ...custom.factors,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_RISK_CONFIG,
+  RISK_FACTORS,
+  scoreApplication,
+  loadRiskConfig,
+};
@@ -0,0 +1,17 @@
+// ================= FILE STORAGE =================
+// Pick a backend with STORAGE_DRIVER (only "local" ships today). Anything
+// exposing save / createReadStream / remove can be dropped in here.
+const { createLocalStorage } = require("./local");
+
+function createStorageFromEnv(env = process.env) {
+  const driver = env.STORAGE_DRIVER || "local";
+
+  switch (driver) {
+    case "local":
+      return createLocalStorage();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  }
+}
+
+module.exports = { createStorageFromEnv, createLocalStorage };
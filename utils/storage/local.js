@@ -0,0 +1,45 @@
+// ================= LOCAL DISK STORAGE BACKEND =================
+// Implements the storage interface used for uploaded documents:
+//   save(key, buffer) → { key, size }
+//   createReadStream(key) → Readable
+//   remove(key)
+// Keys are relative paths like "applications/<id>/<file>".
+
+const fs = require("fs");
+const path = require("path");
+
+function createLocalStorage({
+  root = process.env.UPLOAD_DIR || path.join(process.cwd(), "uploads"),
+} = {}) {
+  const base = path.resolve(root);
+
+  // keep every key inside the upload root (no "../" escapes)
+  const resolveKey = (key) => {
+    const fullPath = path.resolve(base, key);
+    if (!fullPath.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return fullPath;
+  };
+
+  return {
+    name: "local",
+
+    async save(key, buffer) {
+      const fullPath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, buffer, { flag: "wx" });
+      return { key, size: buffer.length };
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
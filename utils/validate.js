@@ -0,0 +1,148 @@
+// ================= SCHEMA VALIDATION =================
+// Tiny declarative validator: coerces types, rejects unknown fields and
+// collects every problem as { field, message } so the client can show
+// them next to the right input.
+//
+// Field rule options:
+//   type      "string" | "number" | "integer" | "boolean" | "array"
+//   required  must be present (ignored in partial mode)
+//   default   used when missing (ignored in partial mode)
+//   min / max         string length or numeric range
+//   lowercase         lower-case strings before checking them
+//   enum              allowed values
+//   pattern           RegExp a string must match
+//   of                rule for each array item
+//   minItems / maxItems
+
+const isMissing = (value) =>
+  value === undefined || value === null || value === "";
+
+function coerce(rule, value, field, errors) {
+  switch (rule.type) {
+    case "string": {
+      if (typeof value === "number") value = String(value);
+      if (typeof value !== "string") {
+        errors.push({ field, message: "must be a string" });
+        return undefined;
+      }
+      value = value.trim();
+      if (rule.lowercase) value = value.toLowerCase();
+      if (rule.min !== undefined && value.length < rule.min) {
+        errors.push({
+          field,
+          message: `must be at least ${rule.min} characters`,
+        });
+      }
+      if (rule.max !== undefined && value.length > rule.max) {
+        errors.push({
+          field,
+          message: `must be at most ${rule.max} characters`,
+        });
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        errors.push({ field, message: "has an invalid format" });
+      }
+      break;
+    }
+
+    case "number":
+    case "integer": {
+      if (typeof value === "string" && value.trim() !== "") {
+        value = Number(value.trim());
+      }
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push({ field, message: "must be a number" });
+        return undefined;
+      }
+      if (rule.type === "integer" && !Number.isInteger(value)) {
+        errors.push({ field, message: "must be a whole number" });
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        errors.push({ field, message: `must be at least ${rule.min}` });
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        errors.push({ field, message: `must be at most ${rule.max}` });
+      }
+      break;
+    }
+
+    case "boolean": {
+      if (value === "true" || value === 1) value = true;
+      if (value === "false" || value === 0) value = false;
+      if (typeof value !== "boolean") {
+        errors.push({ field, message: "must be true or false" });
+        return undefined;
+      }
+      break;
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) value = [value];
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        errors.push({
+          field,
+          message: `must have at least ${rule.minItems} item(s)`,
+        });
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        errors.push({
+          field,
+          message: `must have at most ${rule.maxItems} item(s)`,
+        });
+      }
+      if (rule.of) {
+        value = value.map((item, index) =>
+          coerce(rule.of, item, `${field}[${index}]`, errors)
+        );
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown rule type "${rule.type}" for ${field}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${rule.enum.join(", ")}` });
+  }
+
+  return value;
+}
+
+/**
+ * @param {object} schema   { field: rule }
+ * @param {object} input    usually req.body
+ * @param {object} [options]
+ * @param {boolean} [options.partial]  PATCH mode: only validate what was sent
+ * @returns {{ value: object, errors: Array<{field: string, message: string}> }}
+ */
+function validate(schema, input, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { value, errors: [{ field: "body", message: "must be an object" }] };
+  }
+
+  for (const field of Object.keys(input)) {
+    if (!schema[field]) errors.push({ field, message: "is not allowed" });
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+
+    if (isMissing(raw)) {
+      if (partial) continue;
+      if (rule.required) errors.push({ field, message: "is required" });
+      else if (rule.default !== undefined) value[field] = rule.default;
+      continue;
+    }
+
+    const coerced = coerce(rule, raw, field, errors);
+    if (coerced !== undefined) value[field] = coerced;
+  }
+
+  return { value, errors };
+}
+
+module.exports = { validate };